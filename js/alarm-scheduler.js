@@ -0,0 +1,105 @@
+/**
+ * Alarm Scheduler
+ * Works out when alarms are due and fires them while the app is open.
+ * Background tabs throttle timers, so due alarms are found by polling the
+ * clock rather than trusting one long setTimeout.
+ */
+
+(function() {
+  'use strict';
+
+  const CHECK_INTERVAL = 5000;
+  // After the device sleeps, alarms missed by up to this much still fire
+  const MISSED_GRACE = 5 * 60000;
+
+  let getAlarms = function() { return []; };
+  let onFire = function() {};
+  let checkTimer = null;
+  let lastCheck = 0;
+  let snoozes = [];             // { alarm, at }
+
+  // ===== OCCURRENCES =====
+  // First time at or after `from` (ms) that the alarm is due, or null if never
+  function nextOccurrence(alarm, from) {
+    const parts = alarm.time.split(':');
+    for (let offset = 0; offset <= 7; offset++) {
+      const date = new Date(from);
+      date.setDate(date.getDate() + offset);
+      date.setHours(parseInt(parts[0], 10), parseInt(parts[1], 10), 0, 0);
+      if (date.getTime() < from) continue;
+      if (alarm.days.length === 0 || alarm.days.indexOf(date.getDay()) >= 0) return date.getTime();
+    }
+    return null;
+  }
+
+  // Soonest upcoming { alarm, at, snoozed } across enabled alarms and snoozes
+  function next() {
+    const now = Date.now();
+    let soonest = null;
+    getAlarms().forEach(function(alarm) {
+      if (!alarm.enabled) return;
+      const at = nextOccurrence(alarm, now);
+      if (at !== null && (!soonest || at < soonest.at)) soonest = { alarm: alarm, at: at, snoozed: false };
+    });
+    snoozes.forEach(function(s) {
+      if (!soonest || s.at < soonest.at) soonest = { alarm: s.alarm, at: s.at, snoozed: true };
+    });
+    return soonest;
+  }
+
+  // ===== CHECKING =====
+  function check() {
+    const now = Date.now();
+    const from = Math.max(lastCheck, now - MISSED_GRACE) + 1;
+    lastCheck = now;
+
+    getAlarms().forEach(function(alarm) {
+      if (!alarm.enabled) return;
+      const due = nextOccurrence(alarm, from);
+      if (due !== null && due <= now) fire(alarm, false);
+    });
+
+    const due = snoozes.filter(function(s) { return s.at <= now; });
+    snoozes = snoozes.filter(function(s) { return s.at > now; });
+    due.forEach(function(s) { fire(s.alarm, true); });
+  }
+
+  function fire(alarm, snoozed) {
+    try {
+      onFire(alarm, { snoozed: snoozed });
+    } catch (err) {
+      console.error('Alarm handler failed:', err);
+    }
+  }
+
+  // `alarmsFn` is called on every check so edits apply without restarting
+  function start(alarmsFn, fireFn) {
+    getAlarms = alarmsFn;
+    onFire = fireFn;
+    lastCheck = Date.now();
+    if (checkTimer) clearInterval(checkTimer);
+    checkTimer = setInterval(check, CHECK_INTERVAL);
+    // Throttled timers may have slept through the alarm; look straight away
+    document.addEventListener('visibilitychange', function() {
+      if (document.visibilityState === 'visible') check();
+    });
+  }
+
+  // ===== SNOOZE =====
+  function snooze(alarm, minutes) {
+    snoozes.push({ alarm: alarm, at: Date.now() + minutes * 60000 });
+  }
+
+  function cancelSnoozes(alarmId) {
+    snoozes = snoozes.filter(function(s) { return alarmId && s.alarm.id !== alarmId; });
+  }
+
+  // ===== PUBLIC API =====
+  window.alarmScheduler = {
+    start: start,
+    next: next,
+    nextOccurrence: nextOccurrence,
+    snooze: snooze,
+    cancelSnoozes: cancelSnoozes
+  };
+})();
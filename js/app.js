@@ -2,15 +2,23 @@
 // Radio Player Application - v4.0
 // ============================================================================
 
-let audio = null;
-let metadataInterval = null;
+// Audio element, Web Audio graph and reconnects live in playback-controller.js
+const playback = window.playbackController;
+
+let metadataSession = null;
+let metadataKey = null;       // Station and stream the session follows
 let currentStationId = '';
 let currentStationName = '';
 
-// Web Audio API for audio reactivity
-let audioContext = null;
-let analyserNode = null;
-let sourceNode = null;
+// Track reported by station metadata, or null when the station has none
+let currentTrack = null;
+let currentTrackLiked = false;  // Shown on the lock screen (see updateLikeButton)
+
+// MediaMetadata artwork for the track or station (see updateArtwork)
+let currentArtwork = null;
+let artworkKey = null;
+
+// Scratch buffer for getAudioEnergy()
 let frequencyData = null;
 
 // iOS detection for audio reactivity fallback
@@ -21,6 +29,10 @@ const tagline = document.getElementById('tagline');
 const nowPlaying = document.getElementById('nowPlaying');
 const trackInfo = document.getElementById('trackInfo');
 const trackArtist = document.getElementById('trackArtist');
+const streamSource = document.getElementById('streamSource');
+const likeBtn = document.getElementById('likeBtn');
+const programmeLine = document.getElementById('programmeLine');
+const trackArtwork = document.getElementById('trackArtwork');
 const logoContainer = document.getElementById('logoContainer');
 const stationGrid = document.getElementById('stationGrid');
 
@@ -37,7 +49,8 @@ const DEFAULT_STATIONS = [
         tagline: 'The World\'s Greatest Music',
         logoUrl: './assets/logos/classicfm.svg',
         isDefault: true,
-        themeColor: null
+        themeColor: null,
+        metadata: { provider: 'classicfm' }
     },
     {
         slotIndex: 1,
@@ -61,24 +74,27 @@ const DEFAULT_STATIONS = [
     }
 ];
 
+// Stations, settings and alarms share one versioned entry (see station-store.js)
 function loadStations() {
-    try {
-        const saved = localStorage.getItem('minify_stations');
-        if (saved) {
-            const parsed = JSON.parse(saved);
-            if (Array.isArray(parsed) && parsed.length === 3) return parsed;
-        }
-    } catch (e) { /* fall through */ }
-    return DEFAULT_STATIONS.map(s => Object.assign({}, s));
+    return window.stationStore.load(DEFAULT_STATIONS);
 }
 
 function saveStations(stations) {
-    try {
-        localStorage.setItem('minify_stations', JSON.stringify(stations));
-    } catch (e) { /* storage unavailable */ }
+    window.stationStore.save(stations, settings, alarms);
+}
+
+function saveSettings() {
+    window.stationStore.save(stations, settings, alarms);
+}
+
+function saveAlarms() {
+    window.stationStore.save(stations, settings, alarms);
 }
 
-let stations = loadStations();
+const storedState = loadStations();
+let stations = storedState.stations;
+let settings = storedState.settings;
+let alarms = storedState.alarms;
 
 // ============================================================================
 // Dynamic Card Rendering
@@ -107,12 +123,15 @@ function renderStations(stationList) {
             card.classList.add('empty');
         } else {
             card.innerHTML = `
-                <button class="edit-station-btn" title="Change station" aria-label="Change station">&#9998;</button>
+                <button class="edit-station-btn" title="Edit station" aria-label="Edit station">&#9998;</button>
                 <div class="station-title">${escapeHtml(station.name)}</div>
                 <div class="station-subtitle">${escapeHtml(station.tagline)}</div>
             `;
         }
 
+        // Keep the playing card highlighted when slots are re-rendered
+        if (playback.getState() !== 'idle' && station.url && station.id === currentStationId) card.classList.add('active');
+
         card.addEventListener('click', handleCardClick);
         stationGrid.appendChild(card);
     });
@@ -122,7 +141,7 @@ function renderStations(stationList) {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             const card = btn.closest('.station-card');
-            openModal(parseInt(card.dataset.slotIndex, 10));
+            openEditSheet(parseInt(card.dataset.slotIndex, 10));
         });
     });
 }
@@ -147,11 +166,7 @@ function handleCardClick(e) {
     // TOGGLE LOGIC - clicking active card stops playback
     if (card.classList.contains('active')) {
         stopStream();
-        document.body.className = 'no-selection';
-        logoContainer.innerHTML = '<div style="color: var(--text-primary); font-size: 40px; font-weight: 900;">Minify Radio</div>';
-        tagline.textContent = 'Select a station to begin';
-        updateNowPlaying('Select a station to begin', '');
-        if (window.waveGrid) window.waveGrid.setTheme('default');
+        resetPlayerUI();
         return;
     }
 
@@ -159,6 +174,9 @@ function handleCardClick(e) {
     const slotIndex = parseInt(card.dataset.slotIndex, 10);
     const station = stations[slotIndex];
 
+    // The old station's titles mustn't land on this one while it connects
+    if (currentStationId !== station.id) stopMetadataUpdates();
+
     currentStationId = station.id;
     currentStationName = station.name;
 
@@ -169,7 +187,16 @@ function handleCardClick(e) {
     card.classList.add('active');
 
     updateBranding(station);
-    playStream(station.url);
+    updateNowPlaying('Connecting…', '');
+
+    // Unlock audio while we still hold the click's user activation
+    playback.prime();
+
+    resolveStationStreams(station).then(streams => {
+        // Bail if the user stopped or switched station while resolving
+        if (!card.classList.contains('active') || currentStationId !== station.id) return;
+        playback.play(streams, { gainDb: stationGainOffset(station), eq: stationEqGains(station) });
+    });
 }
 
 // ============================================================================
@@ -177,19 +204,23 @@ function handleCardClick(e) {
 // ============================================================================
 
 function applyStationTheme(station) {
-    if (station.isDefault) {
+    // Built-in stations keep their CSS theme unless the user picked a colour
+    if (station.isDefault && !station.themeColor) {
         document.body.className = `theme-${station.id}`;
         if (window.waveGrid) window.waveGrid.setTheme(station.id);
     } else {
-        const color = station.themeColor || '#6b7280';
         document.body.className = 'theme-custom';
-        document.documentElement.style.setProperty('--custom-color', color);
-        const rgb = hexToRgbComponents(color);
-        document.documentElement.style.setProperty('--custom-rgb', `${rgb.r},${rgb.g},${rgb.b}`);
-        if (window.waveGrid) window.waveGrid.setDynamicTheme(color);
+        setCustomThemeColor(station.themeColor || '#6b7280');
     }
 }
 
+function setCustomThemeColor(color) {
+    const rgb = hexToRgbComponents(color);
+    document.documentElement.style.setProperty('--custom-color', color);
+    document.documentElement.style.setProperty('--custom-rgb', `${rgb.r},${rgb.g},${rgb.b}`);
+    if (window.waveGrid) window.waveGrid.setDynamicTheme(color);
+}
+
 function hexToRgbComponents(hex) {
     const h = hex.replace('#', '');
     return {
@@ -205,6 +236,7 @@ function hexToRgbComponents(hex) {
 
 function updateBranding(station) {
     tagline.textContent = station.tagline || '';
+    startProgrammeUpdates(station);
 
     if (station.logoUrl) {
         const img = new Image();
@@ -223,415 +255,2095 @@ function updateBranding(station) {
     }
 }
 
+// Back to the "nothing selected" look after playback stops
+function resetPlayerUI() {
+    document.body.className = 'no-selection';
+    logoContainer.innerHTML = '<div style="color: var(--text-primary); font-size: 40px; font-weight: 900;">Minify Radio</div>';
+    tagline.textContent = 'Select a station to begin';
+    stopProgrammeUpdates();
+    updateNowPlaying('Select a station to begin', '');
+    if (window.waveGrid) window.waveGrid.setTheme('default');
+}
+
 function updateNowPlaying(title, artist) {
     trackInfo.textContent = title;
     trackArtist.textContent = artist || '';
-    if (audio && !audio.paused) {
+    updateLikeButton();
+    updateArtwork();
+    if (playback.isPlaying()) {
         updateMediaSession(title, artist, currentStationName);
     }
 }
 
 // ============================================================================
-// Audio Stream Functions
+// Stream URL Resolution
 // ============================================================================
 
-async function playStream(url, urlAlt = null) {
-    if (audio) {
-        audio.pause();
-        audio = null;
-    }
-
-    stopMetadataUpdates();
+const RESOLVED_PLAYLIST_TTL = 24 * 60 * 60 * 1000;
 
-    if (sourceNode) {
-        try { sourceNode.disconnect(); } catch (e) {}
-        sourceNode = null;
-    }
+// A station's ordered stream list, always led by or containing its main url
+function stationStreams(station) {
+    const list = Array.isArray(station.streams) && station.streams.length ? station.streams : [station.url];
+    return list.includes(station.url) ? list.slice() : [station.url].concat(list);
+}
 
-    audio = new Audio(url);
-    audio.crossOrigin = "anonymous";
+// Playlist wrappers (.pls/.m3u/.asx/.xspf) are unwrapped into real stream URLs.
+// Results are cached per playlist on the station record; a stale cache beats no stream.
+async function resolvePlaylist(station, url) {
+    const cache = station.resolvedPlaylists || (station.resolvedPlaylists = {});
+    const cached = cache[url];
+    if (cached && Date.now() - cached.resolvedAt < RESOLVED_PLAYLIST_TTL) return cached.streams;
 
     try {
-        if (!audioContext) {
-            audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            analyserNode = audioContext.createAnalyser();
-            analyserNode.fftSize = 256;
-            analyserNode.smoothingTimeConstant = 0.8;
-            frequencyData = new Uint8Array(analyserNode.frequencyBinCount);
-        }
-
-        sourceNode = audioContext.createMediaElementSource(audio);
-        sourceNode.connect(analyserNode);
-        analyserNode.connect(audioContext.destination);
-        console.log('✓ Web Audio API connected successfully - audio reactivity enabled');
+        const streams = await window.streamResolver.resolve(url);
+        cache[url] = { streams, resolvedAt: Date.now() };
+        saveStations(stations);
+        return streams;
     } catch (err) {
-        console.error('✗ Web Audio API connection failed:', err.message);
-        sourceNode = null;
+        console.warn('Playlist resolution failed:', url, err.message);
+        return cached ? cached.streams : [url];
     }
+}
 
-    if (sourceNode && analyserNode) {
-        setTimeout(() => {
-            const testData = new Uint8Array(analyserNode.frequencyBinCount);
-            analyserNode.getByteFrequencyData(testData);
-            if (testData.some(v => v > 0)) {
-                console.log('✓ Audio reactivity confirmed');
-            } else {
-                console.warn('⚠ Audio reactivity not detecting signal');
-            }
-        }, 500);
+// Every playable URL for the station in failover order, starting with the
+// mirror that last worked
+async function resolveStationStreams(station) {
+    const candidates = [];
+    for (const url of stationStreams(station)) {
+        const resolved = window.streamResolver.isPlaylistUrl(url) ? await resolvePlaylist(station, url) : [url];
+        resolved.forEach(u => { if (!candidates.includes(u)) candidates.push(u); });
     }
 
-    let hasTriedAlt = false;
+    const preferred = candidates.indexOf(station.lastWorkingStream);
+    if (preferred > 0) candidates.unshift(candidates.splice(preferred, 1)[0]);
+    return candidates;
+}
+
+function rememberWorkingStream(url) {
+    const station = stations.find(s => s.id === currentStationId);
+    if (station && station.lastWorkingStream !== url) {
+        station.lastWorkingStream = url;
+        saveStations(stations);
+    }
+}
 
-    audio.addEventListener('playing', () => {
-        requestWakeLock();
-        if (currentStationId) {
-            startMetadataUpdates();
-        } else {
-            updateNowPlaying('Live Stream', currentStationName);
-        }
-        updateMediaSession(trackInfo.textContent, trackArtist.textContent, currentStationName);
-        if ('mediaSession' in navigator) navigator.mediaSession.playbackState = 'playing';
-    });
+// ============================================================================
+// Playback State Subscribers
+// ============================================================================
 
-    audio.addEventListener('pause', () => {
-        if ('mediaSession' in navigator) navigator.mediaSession.playbackState = 'paused';
-    });
+// Now-playing text follows the controller's state machine
+playback.on('statechange', ({ state, detail }) => {
+    nowPlaying.classList.toggle('playing', state === 'playing' || state === 'buffering');
 
-    audio.addEventListener('ended', () => {
-        if ('mediaSession' in navigator) navigator.mediaSession.playbackState = 'none';
-    });
+    switch (state) {
+        case 'connecting':
+            if (detail.attempt) {
+                updateNowPlaying('Reconnecting…', `Attempt ${detail.attempt} of ${detail.maxAttempts}`);
+            } else {
+                updateNowPlaying('Connecting…', detail.failover ? 'Trying another stream' : '');
+            }
+            break;
 
-    audio.addEventListener('error', (e) => {
-        console.error('Stream error:', e, 'URL:', url);
-        if (urlAlt && !hasTriedAlt) {
-            hasTriedAlt = true;
-            if (sourceNode) { try { sourceNode.disconnect(); } catch(e){} sourceNode = null; }
+        case 'playing':
+            rememberWorkingStream(detail.url);
+            if (currentStationId) {
+                startMetadataUpdates(detail.url);
+            } else {
+                updateNowPlaying('Live Stream', currentStationName);
+            }
+            updateMediaSession(trackInfo.textContent, trackArtist.textContent, currentStationName);
+            break;
 
-            audio = new Audio(urlAlt);
-            audio.crossOrigin = "anonymous";
+        case 'buffering':
+            updateNowPlaying('Buffering…', '');
+            break;
 
-            if (audioContext) {
-                try {
-                    sourceNode = audioContext.createMediaElementSource(audio);
-                    sourceNode.connect(analyserNode);
-                    analyserNode.connect(audioContext.destination);
-                } catch (err) { sourceNode = null; }
+        case 'reconnecting':
+            // Station, theme and Media Session metadata stay put so the lock
+            // screen keeps showing the station while we retry
+            stopMetadataUpdates();
+            if (detail.offline) {
+                updateNowPlaying('Offline', 'Reconnecting when the network returns');
+            } else {
+                updateNowPlaying('Reconnecting…', `Attempt ${detail.attempt} of ${detail.maxAttempts} in ${Math.ceil(detail.delay / 1000)}s`);
             }
+            break;
 
-            audio.addEventListener('playing', () => {
-                requestWakeLock();
-                if (currentStationId) startMetadataUpdates();
-                else updateNowPlaying('Live Stream', currentStationName);
-                updateMediaSession(trackInfo.textContent, trackArtist.textContent, currentStationName);
-                if ('mediaSession' in navigator) navigator.mediaSession.playbackState = 'playing';
-            });
-            audio.addEventListener('pause', () => { if ('mediaSession' in navigator) navigator.mediaSession.playbackState = 'paused'; });
-            audio.addEventListener('ended', () => { if ('mediaSession' in navigator) navigator.mediaSession.playbackState = 'none'; });
-            audio.addEventListener('error', () => {
-                stopMetadataUpdates();
-                updateNowPlaying('Connection error', 'Stream may be offline');
-                if ('mediaSession' in navigator) navigator.mediaSession.playbackState = 'none';
-            });
-            audio.addEventListener('waiting', () => { updateNowPlaying('Buffering…', ''); });
-            audio.play().catch(err => { console.error('Alternative stream failed:', err); updateNowPlaying('Connection error', 'Stream may be offline'); });
-        } else {
+        case 'error':
             stopMetadataUpdates();
             updateNowPlaying('Connection error', 'Stream may be offline');
-            if ('mediaSession' in navigator) navigator.mediaSession.playbackState = 'none';
-        }
-    });
-
-    audio.addEventListener('waiting', () => { updateNowPlaying('Buffering…', ''); });
-
-    updateNowPlaying('Connecting…', '');
+            break;
 
-    if (audioContext) {
-        console.log('AudioContext state:', audioContext.state);
-        if (audioContext.state === 'suspended') {
-            await audioContext.resume().catch(err => console.warn('AudioContext resume failed:', err));
-        }
+        case 'idle':
+            stopMetadataUpdates();
+            break;
     }
+});
 
-    audio.play().catch(err => console.error('Play failed:', err));
-}
+// Show which mirror is playing when a station has more than one
+playback.on('streamchange', (stream) => {
+    if (!stream || stream.total < 2) {
+        streamSource.textContent = '';
+        return;
+    }
+    let host = '';
+    try { host = new URL(stream.url).host; } catch (e) {}
+    streamSource.textContent = `Stream ${stream.index + 1}/${stream.total} · ${host}`;
+});
 
 function stopStream() {
-    if (audio) {
-        audio.pause();
-        audio = null;
-    }
-    stopMetadataUpdates();
-    releaseWakeLock();
+    playback.stop();
     stationGrid.querySelectorAll('.station-card').forEach(c => c.classList.remove('active'));
-    if ('mediaSession' in navigator) navigator.mediaSession.playbackState = 'none';
 }
 
 // ============================================================================
-// Metadata Fetching
+// Volume & Loudness Normalization
 // ============================================================================
 
-async function fetchClassicFMNowPlaying() {
-    try {
-        const proxyUrl = 'https://api.allorigins.win/raw?url=';
-        const response = await fetch(proxyUrl + encodeURIComponent('https://www.classicfm.com/radio/playlist/'), { timeout: 5000 });
-        if (!response.ok) throw new Error('Failed to fetch playlist');
-        const html = await response.text();
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-        const nowPlayingSection = doc.querySelector('.now-playing');
-        if (nowPlayingSection) {
-            const h3 = nowPlayingSection.querySelector('h3');
-            const artistLink = nowPlayingSection.querySelector('p a');
-            if (h3) {
-                updateNowPlaying(h3.textContent.trim(), artistLink ? artistLink.textContent.trim() : 'Classic FM');
-                return;
-            }
-        }
-    } catch (error) {
-        console.log('Classic FM metadata unavailable:', error.message);
-    }
-    updateNowPlaying('Live on Classic FM', 'The World\'s Greatest Music');
+// Stations are levelled towards this short-window RMS level
+const LOUDNESS_TARGET_DB = -20;
+const LOUDNESS_MAX_OFFSET_DB = 12;
+const LOUDNESS_SAMPLE_INTERVAL = 500;
+const LOUDNESS_SILENCE_DB = -60;       // Gaps between tracks don't count
+const LOUDNESS_MIN_SAMPLES = 20;       // ~10s of audio before trusting the average
+const LOUDNESS_MAX_WEIGHT = 1200;      // After ~10 minutes the average only drifts slowly
+const LOUDNESS_PERSIST_EVERY = 30;     // Re-level and save every ~15s
+
+const volumeSlider = document.getElementById('volumeSlider');
+const muteBtn = document.getElementById('muteBtn');
+const levelBtn = document.getElementById('levelBtn');
+
+let loudnessTimer = null;
+
+function normalizationEnabled() {
+    return settings.normalize !== false;
 }
 
-function startMetadataUpdates() {
-    if (metadataInterval) clearInterval(metadataInterval);
-    fetchNowPlaying();
-    metadataInterval = setInterval(fetchNowPlaying, 15000);
+// dB offset that brings the station's measured loudness to the target
+function stationGainOffset(station) {
+    if (!normalizationEnabled() || typeof station.gainOffsetDb !== 'number') return 0;
+    return station.gainOffsetDb;
 }
 
-function stopMetadataUpdates() {
-    if (metadataInterval) { clearInterval(metadataInterval); metadataInterval = null; }
+function measuredOffset(loudness) {
+    const offset = LOUDNESS_TARGET_DB - loudness.averageDb;
+    return Math.max(-LOUDNESS_MAX_OFFSET_DB, Math.min(LOUDNESS_MAX_OFFSET_DB, offset));
 }
 
-function fetchNowPlaying() {
-    if (currentStationId === 'classicfm') {
-        fetchClassicFMNowPlaying();
-    } else {
-        // For all other stations (default non-classicfm and custom), show station name
-        const station = stations.find(s => s.id === currentStationId);
-        updateNowPlaying(
-            `Live on ${station ? station.name : currentStationName}`,
-            station ? station.tagline : ''
-        );
+// The level is measured before any gain, so normalization never chases its own output
+function sampleLoudness() {
+    const station = stations.find(s => s.id === currentStationId);
+    const db = playback.measureLevel();
+    if (!station || db === null || db < LOUDNESS_SILENCE_DB) return;
+
+    const loudness = station.loudness && typeof station.loudness.averageDb === 'number'
+        ? station.loudness
+        : (station.loudness = { averageDb: db, samples: 0 });
+    loudness.samples++;
+    loudness.averageDb += (db - loudness.averageDb) / Math.min(loudness.samples, LOUDNESS_MAX_WEIGHT);
+
+    if (loudness.samples >= LOUDNESS_MIN_SAMPLES && loudness.samples % LOUDNESS_PERSIST_EVERY === 0) {
+        station.gainOffsetDb = Math.round(measuredOffset(loudness) * 10) / 10;
+        playback.setStationGain(stationGainOffset(station), true);
+        saveStations(stations);
     }
 }
 
-// ============================================================================
-// Station Search Modal
-// ============================================================================
-
-let targetSlotIndex = 0;
-let searchDebounceTimer = null;
-
-const modal = document.getElementById('stationModal');
-const stationSearch = document.getElementById('stationSearch');
-const searchResults = document.getElementById('searchResults');
-const modalCloseBtn = document.getElementById('modalClose');
-
-const SEARCH_HINT_HTML = '<div class="search-hint">Search by name, genre or country</div>';
-
-// Convert HSL to hex for auto-theming stations
-function hslToHex(h, s, l) {
-    s /= 100; l /= 100;
-    const a = s * Math.min(l, 1 - l);
-    const f = n => {
-        const k = (n + h / 30) % 12;
-        const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
-        return Math.round(255 * color).toString(16).padStart(2, '0');
-    };
-    return `#${f(0)}${f(8)}${f(4)}`;
+function startLoudnessSampling() {
+    stopLoudnessSampling();
+    loudnessTimer = setInterval(sampleLoudness, LOUDNESS_SAMPLE_INTERVAL);
 }
 
-function openModal(slotIndex) {
-    targetSlotIndex = slotIndex;
-    stationSearch.value = '';
-    searchResults.innerHTML = SEARCH_HINT_HTML;
-    modal.classList.add('open');
-    setTimeout(() => stationSearch.focus(), 350);
+function stopLoudnessSampling() {
+    if (loudnessTimer) {
+        clearInterval(loudnessTimer);
+        loudnessTimer = null;
+    }
 }
 
-function closeModal() {
-    modal.classList.remove('open');
-    setTimeout(() => {
-        stationSearch.value = '';
-        searchResults.innerHTML = SEARCH_HINT_HTML;
-    }, 350);
+function updateVolumeControls() {
+    const muted = playback.isMuted();
+    muteBtn.textContent = muted ? 'Unmute' : 'Mute';
+    muteBtn.setAttribute('aria-pressed', String(muted));
+    volumeSlider.disabled = muted;
+    levelBtn.setAttribute('aria-pressed', String(normalizationEnabled()));
 }
 
-modalCloseBtn.addEventListener('click', closeModal);
-
-document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && modal.classList.contains('open')) closeModal();
+volumeSlider.addEventListener('input', () => {
+    settings.volume = volumeSlider.value / 100;
+    playback.setVolume(settings.volume);
 });
 
-stationSearch.addEventListener('input', () => {
-    const query = stationSearch.value.trim();
-    clearTimeout(searchDebounceTimer);
+// Persist once the drag ends rather than on every step
+volumeSlider.addEventListener('change', saveSettings);
 
-    if (query.length < 2) {
-        searchResults.innerHTML = SEARCH_HINT_HTML;
-        return;
-    }
+muteBtn.addEventListener('click', () => {
+    settings.muted = !playback.isMuted();
+    playback.setMuted(settings.muted);
+    updateVolumeControls();
+    saveSettings();
+});
 
-    searchResults.innerHTML = '<div class="search-loading">Searching...</div>';
-    searchDebounceTimer = setTimeout(() => searchStations(query), 300);
+levelBtn.addEventListener('click', () => {
+    settings.normalize = !normalizationEnabled();
+    const station = stations.find(s => s.id === currentStationId);
+    playback.setStationGain(station ? stationGainOffset(station) : 0, true);
+    updateVolumeControls();
+    saveSettings();
 });
 
-async function searchStations(query) {
-    try {
-        const url = `https://de1.api.radio-browser.info/json/stations/search?name=${encodeURIComponent(query)}&limit=20&hidebroken=true&order=clickcount`;
-        const response = await fetch(url);
-        if (!response.ok) throw new Error('Search failed');
-        const results = await response.json();
-        renderSearchResults(results);
-    } catch (err) {
-        console.error('Station search error:', err);
-        searchResults.innerHTML = '<div class="search-empty">Search unavailable. Check your connection.</div>';
-    }
+playback.on('statechange', ({ state }) => {
+    if (state === 'playing') startLoudnessSampling();
+    else stopLoudnessSampling();
+});
+
+// Restore the saved level before anything plays
+if (typeof settings.volume === 'number') {
+    playback.setVolume(settings.volume);
+    volumeSlider.value = Math.round(playback.getVolume() * 100);
 }
+playback.setMuted(settings.muted === true);
+updateVolumeControls();
 
-// Generate initials and a stable hue from a station name
-function stationInitials(name) {
-    const words = name.trim().split(/\s+/);
-    if (words.length >= 2) return (words[0][0] + words[1][0]).toUpperCase();
-    return name.substring(0, 2).toUpperCase();
+// ============================================================================
+// Crossfade
+// ============================================================================
+
+// Seconds; 0 switches stations with a hard cut
+const CROSSFADE_OPTIONS = [0, 2, 4, 8];
+
+const crossfadeBtn = document.getElementById('crossfadeBtn');
+
+function crossfadeSeconds() {
+    return CROSSFADE_OPTIONS.includes(settings.crossfade) ? settings.crossfade : 0;
 }
 
-function stationHue(name) {
-    let h = 0;
-    for (let i = 0; i < name.length; i++) h = (h * 31 + name.charCodeAt(i)) | 0;
-    return Math.abs(h) % 360;
+function updateCrossfadeButton() {
+    const seconds = crossfadeSeconds();
+    crossfadeBtn.textContent = seconds ? `Crossfade · ${seconds}s` : 'Crossfade off';
+    crossfadeBtn.setAttribute('aria-pressed', String(seconds > 0));
 }
 
-function renderSearchResults(results) {
-    if (!results || results.length === 0) {
-        searchResults.innerHTML = '<div class="search-empty">No stations found. Try a different name.</div>';
-        return;
-    }
+crossfadeBtn.addEventListener('click', () => {
+    const next = CROSSFADE_OPTIONS[(CROSSFADE_OPTIONS.indexOf(crossfadeSeconds()) + 1) % CROSSFADE_OPTIONS.length];
+    settings.crossfade = next;
+    playback.setCrossfade(next);
+    updateCrossfadeButton();
+    saveSettings();
+});
 
-    searchResults.innerHTML = '';
-    results.forEach(station => {
-        const item = document.createElement('div');
-        item.className = 'result-item';
+playback.setCrossfade(crossfadeSeconds());
+updateCrossfadeButton();
 
-        const hue = stationHue(station.name);
-        const initials = stationInitials(station.name);
-        const meta = station.country || '';
+// ============================================================================
+// Equalizer
+// ============================================================================
 
-        item.innerHTML = `
-            <div class="result-icon" style="background:hsl(${hue},45%,28%)">
-                <span class="result-initials">${escapeHtml(initials)}</span>
-                ${station.favicon ? `<img class="result-favicon" src="${escapeHtml(station.favicon)}" alt="" onerror="this.remove()">` : ''}
-            </div>
-            <div class="result-info">
-                <div class="result-name">${escapeHtml(station.name)}</div>
-                <div class="result-meta">${escapeHtml(meta)}</div>
-            </div>
-        `;
+// dB per playback.EQ_BANDS entry (60 Hz … 12 kHz)
+const EQ_PRESETS = {
+    flat: { label: 'Flat', gains: [0, 0, 0, 0, 0, 0] },
+    speech: { label: 'Speech', gains: [-6, -3, 0, 3, 4, 1] },
+    bass: { label: 'Bass boost', gains: [6, 4, 1, 0, 0, 0] },
+    lateNight: { label: 'Late night', gains: [-4, -2, 0, 1, 0, -3] }
+};
 
-        item.addEventListener('click', () => selectSearchResult(item, station));
-        searchResults.appendChild(item);
-    });
+const eqModal = document.getElementById('eqModal');
+const eqBtn = document.getElementById('eqBtn');
+const eqBands = document.getElementById('eqBands');
+
+function activeStation() {
+    return stationGrid.querySelector('.station-card.active') ? stations.find(s => s.id === currentStationId) : null;
 }
 
-function selectSearchResult(itemEl, station) {
-    // Auto-derive wave colour from the same hue used for the station icon
-    const themeColor = hslToHex(stationHue(station.name), 70, 50);
+// A station without an EQ plays flat
+function stationEqGains(station) {
+    return station.eq ? station.eq.gains : null;
+}
 
-    const newStation = {
-        slotIndex: targetSlotIndex,
-        id: 'custom_' + Date.now(),
-        name: station.name,
-        url: station.url_resolved || station.url,
-        tagline: station.country || (station.tags ? station.tags.split(',')[0] : '') || '',
-        logoUrl: station.favicon || null,
-        isDefault: false,
-        themeColor
-    };
+function eqLabel(station) {
+    if (!station || !station.eq) return EQ_PRESETS.flat.label;
+    return EQ_PRESETS[station.eq.preset] ? EQ_PRESETS[station.eq.preset].label : 'Custom';
+}
 
-    stations[targetSlotIndex] = newStation;
-    saveStations(stations);
-    renderStations(stations);
-    closeModal();
+function formatBand(frequency) {
+    return frequency >= 1000 ? `${frequency / 1000} kHz` : `${frequency} Hz`;
 }
 
-// ============================================================================
-// Media Session API (CarPlay & Lock Screen Controls)
-// ============================================================================
+function formatDb(db) {
+    return `${db > 0 ? '+' : ''}${db} dB`;
+}
 
-if ('mediaSession' in navigator) {
-    navigator.mediaSession.setActionHandler('play', async () => {
-        if (audio && audio.paused) {
-            try {
-                await audio.play();
-                navigator.mediaSession.playbackState = 'playing';
-            } catch (err) { console.error('Play failed:', err); }
-        }
-    });
+function updateEqButton(station = activeStation()) {
+    eqBtn.textContent = `EQ · ${eqLabel(station)}`;
+}
 
-    navigator.mediaSession.setActionHandler('pause', () => {
-        if (audio && !audio.paused) {
-            audio.pause();
-            navigator.mediaSession.playbackState = 'paused';
-        }
+function renderEqualizer(station = activeStation()) {
+    const gains = station ? stationEqGains(station) || [] : [];
+    const preset = station && station.eq ? station.eq.preset : 'flat';
+
+    document.getElementById('eqStation').textContent = station ? `Equalizer · ${station.name}` : 'Equalizer';
+    document.getElementById('eqNote').textContent = station
+        ? 'Each station remembers its own EQ.'
+        : 'Start a station to adjust its sound.';
+    eqModal.querySelectorAll('[data-eq-preset]').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.eqPreset === preset);
+        btn.disabled = !station;
     });
 
-    navigator.mediaSession.setActionHandler('stop', () => {
-        stopStream();
-        navigator.mediaSession.playbackState = 'none';
+    eqBands.innerHTML = '';
+    playback.EQ_BANDS.forEach((frequency, i) => {
+        const db = gains[i] || 0;
+        const row = document.createElement('label');
+        row.className = 'eq-band';
+        row.innerHTML = `
+            <span class="eq-band-label">${formatBand(frequency)}</span>
+            <input type="range" class="volume-slider" min="${-playback.EQ_MAX_DB}" max="${playback.EQ_MAX_DB}" step="1" value="${db}" aria-label="${formatBand(frequency)}">
+            <span class="eq-band-value">${formatDb(db)}</span>
+        `;
+        const slider = row.querySelector('input');
+        slider.disabled = !station;
+        slider.addEventListener('input', () => {
+            row.querySelector('.eq-band-value').textContent = formatDb(Number(slider.value));
+            setBandGain(station, i, Number(slider.value));
+        });
+        // Persist once the drag ends rather than on every step
+        slider.addEventListener('change', () => {
+            saveStations(stations);
+            renderEqualizer();
+        });
+        eqBands.appendChild(row);
     });
 
-    navigator.mediaSession.setActionHandler('previoustrack', () => {
-        const cards = Array.from(stationGrid.querySelectorAll('.station-card:not(.empty)'));
-        const activeCard = cards.find(c => c.classList.contains('active'));
-        if (activeCard) {
-            const idx = cards.indexOf(activeCard);
-            cards[idx === 0 ? cards.length - 1 : idx - 1].click();
-        }
-    });
+    updateEqButton(station);
+}
 
-    navigator.mediaSession.setActionHandler('nexttrack', () => {
-        const cards = Array.from(stationGrid.querySelectorAll('.station-card:not(.empty)'));
-        const activeCard = cards.find(c => c.classList.contains('active'));
-        if (activeCard) {
-            const idx = cards.indexOf(activeCard);
-            cards[(idx + 1) % cards.length].click();
-        }
-    });
+// Moving any band turns the station's EQ into a custom one
+function setBandGain(station, index, db) {
+    const gains = playback.EQ_BANDS.map((_, i) => (station.eq && station.eq.gains[i]) || 0);
+    gains[index] = db;
+    station.eq = { preset: 'custom', gains };
+    playback.setEqualizer(gains, true);
+    updateEqButton();
 }
 
-function updateMediaSession(title, artist, station) {
-    if ('mediaSession' in navigator) {
-        navigator.mediaSession.metadata = new MediaMetadata({
-            title: title || 'Radio Stream',
-            artist: artist || station,
-            album: station || 'Radio Player',
-            artwork: [
-                { src: './assets/icons/icon-192.png', sizes: '192x192', type: 'image/png' },
-                { src: './assets/icons/icon-512.png', sizes: '512x512', type: 'image/png' }
-            ]
-        });
+function applyEqPreset(name) {
+    const station = activeStation();
+    if (!station || !EQ_PRESETS[name]) return;
+    station.eq = name === 'flat' ? null : { preset: name, gains: EQ_PRESETS[name].gains.slice() };
+    playback.setEqualizer(stationEqGains(station), true);
+    saveStations(stations);
+    renderEqualizer();
+}
 
-        if (audio && !audio.paused) {
-            navigator.mediaSession.playbackState = 'playing';
-        } else {
-            navigator.mediaSession.playbackState = 'paused';
-        }
+function openEqModal() {
+    renderEqualizer();
+    eqModal.classList.add('open');
+}
 
-        try {
-            navigator.mediaSession.setPositionState({ duration: Infinity, playbackRate: 1, position: 0 });
-        } catch (err) {}
-    }
+function closeEqModal() {
+    eqModal.classList.remove('open');
 }
 
-// ============================================================================
-// Wake Lock API
-// ============================================================================
+eqBtn.addEventListener('click', openEqModal);
+document.getElementById('eqClose').addEventListener('click', closeEqModal);
+eqModal.querySelectorAll('[data-eq-preset]').forEach(btn => {
+    btn.addEventListener('click', () => applyEqPreset(btn.dataset.eqPreset));
+});
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && eqModal.classList.contains('open')) closeEqModal();
+});
+
+// The button and an open editor follow whichever station is on; the card
+// is still marked active while the stop is announced
+playback.on('statechange', ({ state }) => {
+    if (state !== 'connecting' && state !== 'idle') return;
+    const station = state === 'idle' ? null : activeStation();
+    if (eqModal.classList.contains('open')) renderEqualizer(station);
+    else updateEqButton(station);
+});
+
+// ============================================================================
+// Time-shift (pause, rewind and scrub live radio)
+// ============================================================================
+
+// Minutes of audio kept for rewinding; 0 plays streams straight through
+const REWIND_OPTIONS = [0, 5, 15, 30, 60];
+const REWIND_DEFAULT_MINUTES = 0;     // Off until the user picks a window
+const TIMESHIFT_UPDATE_INTERVAL = 500;
+
+const rewindBtn = document.getElementById('rewindBtn');
+const timeshiftRow = document.getElementById('timeshiftRow');
+const timeshiftSlider = document.getElementById('timeshiftSlider');
+const timeshiftBehind = document.getElementById('timeshiftBehind');
+const timeshiftPause = document.getElementById('timeshiftPause');
+const timeshiftLive = document.getElementById('timeshiftLive');
+
+let timeshiftTimer = null;
+let scrubbing = false;
+
+function rewindMinutes() {
+    return REWIND_OPTIONS.includes(settings.rewind) ? settings.rewind : REWIND_DEFAULT_MINUTES;
+}
+
+function updateRewindButton() {
+    const minutes = rewindMinutes();
+    rewindBtn.textContent = minutes ? `Rewind · ${minutes} min` : 'Rewind off';
+    rewindBtn.setAttribute('aria-pressed', String(minutes > 0));
+}
+
+function updateTimeshiftControls() {
+    const shift = playback.getTimeshift();
+    timeshiftRow.hidden = !shift;
+    updateSeekHandlers(!!shift);
+    if (!shift) return;
+
+    if (!scrubbing) {
+        timeshiftSlider.max = String(Math.max(1, Math.floor(shift.end - shift.start)));
+        timeshiftSlider.value = String(Math.floor(shift.position - shift.start));
+    }
+    timeshiftBehind.textContent = shift.live ? 'Live' : `−${formatRemaining(shift.behind * 1000)}`;
+    timeshiftLive.disabled = shift.live;
+    timeshiftPause.textContent = playback.getState() === 'paused' ? 'Play' : 'Pause';
+    updatePositionState();
+}
+
+function startTimeshiftUpdates() {
+    if (timeshiftTimer) return;
+    timeshiftTimer = setInterval(updateTimeshiftControls, TIMESHIFT_UPDATE_INTERVAL);
+    updateTimeshiftControls();
+}
+
+function stopTimeshiftUpdates() {
+    if (timeshiftTimer) {
+        clearInterval(timeshiftTimer);
+        timeshiftTimer = null;
+    }
+    updateTimeshiftControls();
+}
+
+function seekTimeshift(seconds) {
+    playback.seekBy(seconds);
+    updateTimeshiftControls();
+}
+
+rewindBtn.addEventListener('click', () => {
+    const next = REWIND_OPTIONS[(REWIND_OPTIONS.indexOf(rewindMinutes()) + 1) % REWIND_OPTIONS.length];
+    settings.rewind = next;
+    playback.setTimeshift(next * 60);
+    updateRewindButton();
+    saveSettings();
+});
+
+document.getElementById('timeshiftBack30').addEventListener('click', () => seekTimeshift(-30));
+document.getElementById('timeshiftBack15').addEventListener('click', () => seekTimeshift(-15));
+
+timeshiftPause.addEventListener('click', () => {
+    if (playback.getState() === 'paused') playback.resume();
+    else playback.pause();
+});
+
+timeshiftLive.addEventListener('click', () => {
+    playback.goLive();
+    updateTimeshiftControls();
+});
+
+// Only seek when the drag ends; each seek refills the element's buffer
+timeshiftSlider.addEventListener('input', () => {
+    scrubbing = true;
+    const shift = playback.getTimeshift();
+    if (shift) timeshiftBehind.textContent = `−${formatRemaining((shift.end - shift.start - timeshiftSlider.value) * 1000)}`;
+});
+
+timeshiftSlider.addEventListener('change', () => {
+    scrubbing = false;
+    const shift = playback.getTimeshift();
+    if (shift) playback.seekTo(shift.start + Number(timeshiftSlider.value));
+    updateTimeshiftControls();
+});
+
+// Paused streams keep buffering, so the controls stay up until the stream stops
+playback.on('statechange', ({ state }) => {
+    if (state === 'idle' || state === 'error') stopTimeshiftUpdates();
+    else startTimeshiftUpdates();
+});
+
+playback.setTimeshift(rewindMinutes() * 60);
+updateRewindButton();
+
+// ============================================================================
+// Metadata Fetching
+// ============================================================================
+
+// Record the track from station metadata; repeated reports of the same track are no-ops.
+// `artwork` is a cover URL when the metadata source has one.
+function setCurrentTrack(title, artist, artwork) {
+    const previous = currentTrack;
+    currentTrack = title ? { title, artist: artist || '' } : null;
+    if (currentTrack && artwork) currentTrack.artwork = artwork;
+    if (!currentTrack) return;
+
+    updateNowPlaying(currentTrack.title, currentTrack.artist);
+    if (!previous || previous.title !== currentTrack.title || previous.artist !== currentTrack.artist) {
+        onTrackChange(previous);
+        window.scrobbler.trackChanged(currentTrack);
+    }
+    recordHistory(currentTrack);
+}
+
+// Where a station's titles come from (see now-playing.js). Saved built-in
+// stations predate `metadata`, so theirs comes from the defaults.
+function metadataSource(station) {
+    if (station.metadata) return station.metadata;
+    const builtIn = station.isDefault && DEFAULT_STATIONS.find(s => s.id === station.id);
+    return builtIn && builtIn.metadata ? builtIn.metadata : null;
+}
+
+// `streamUrl` is the stream that just started playing
+function startMetadataUpdates(streamUrl) {
+    const station = stations.find(s => s.id === currentStationId);
+    const key = `${currentStationId} ${streamUrl}`;
+    // A crossfade or failover moves on without stopping first
+    if (metadataKey !== key) {
+        const sameStation = metadataKey && metadataKey.split(' ')[0] === currentStationId;
+        if (metadataSession) metadataSession.stop();
+        metadataSession = null;
+        if (!sameStation) {
+            currentTrack = null;
+            window.scrobbler.trackChanged(null);
+        }
+        metadataKey = key;
+    }
+    if (!metadataSession && station) {
+        metadataSession = window.nowPlaying.start(metadataSource(station), streamUrl, onMetadata);
+        if (!station.isDefault) detectMetadataSource(station);
+    }
+    showNowPlaying();
+}
+
+function stopMetadataUpdates() {
+    if (metadataSession) {
+        metadataSession.stop();
+        metadataSession = null;
+    }
+    metadataKey = null;
+    currentTrack = null;
+    window.scrobbler.trackChanged(null);
+}
+
+function onMetadata(track) {
+    if (track) {
+        setCurrentTrack(track.title, track.artist, track.artwork);
+    } else {
+        currentTrack = null;
+        window.scrobbler.trackChanged(null);
+        showNowPlaying();
+    }
+}
+
+// Work out once where a custom station's titles come from and keep it on the
+// station; probing its server is too slow to repeat on every play
+const detectingMetadata = new Set();
+
+function detectMetadataSource(station) {
+    if (!station.url || station.metadata || detectingMetadata.has(station.id)) return;
+    detectingMetadata.add(station.id);
+    window.nowPlaying.detect(station.url).then(metadata => {
+        detectingMetadata.delete(station.id);
+        if (stations[station.slotIndex] !== station) return;
+        station.metadata = metadata;
+        saveStations(stations);
+
+        // Switch a playing station over to what was found
+        const stream = playback.getCurrentStream();
+        if (currentStationId === station.id && metadataSession && metadataSession.provider !== metadata.provider && stream) {
+            metadataSession.stop();
+            metadataSession = null;
+            metadataKey = null;
+            startMetadataUpdates(stream.url);
+        }
+    });
+}
+
+// `previous` is null for the first track after tuning in
+function onTrackChange(previous) {
+    if (previous && sleepTimer && sleepTimer.endOfTrack) startSleepFade();
+    if (window.streamRecorder.isRecording()) splitRecording();
+}
+
+// The current track, or the station until (or unless) its metadata names one
+function showNowPlaying() {
+    if (currentTrack) {
+        updateNowPlaying(currentTrack.title, currentTrack.artist);
+    } else {
+        const station = stations.find(s => s.id === currentStationId);
+        updateNowPlaying(
+            `Live on ${station ? station.name : currentStationName}`,
+            station ? station.tagline : ''
+        );
+    }
+}
+
+// ============================================================================
+// Programme Guide
+// ============================================================================
+
+// Now/next is re-read from the cached day this often; the guide itself
+// refetches a day once its cache is an hour old
+const PROGRAMME_UPDATE_INTERVAL = 60000;
+const DAY_MS = 24 * 60 * 60000;
+
+const scheduleModal = document.getElementById('scheduleModal');
+const scheduleBtn = document.getElementById('scheduleBtn');
+const scheduleList = document.getElementById('scheduleList');
+const scheduleDay = document.getElementById('scheduleDay');
+
+let programmeTimer = null;
+let scheduleOffset = 0;        // Days from today shown in the schedule sheet
+
+function scheduleSource(station) {
+    return station && station.url ? window.programmeGuide.resolve(station.schedule, station.url) : null;
+}
+
+function showTitle(show) {
+    return show.presenter ? `${show.title} with ${show.presenter}` : show.title;
+}
+
+function startProgrammeUpdates(station) {
+    stopProgrammeUpdates();
+    if (!scheduleSource(station)) return;
+    updateProgramme(station);
+    programmeTimer = setInterval(() => updateProgramme(station), PROGRAMME_UPDATE_INTERVAL);
+}
+
+function stopProgrammeUpdates() {
+    if (programmeTimer) {
+        clearInterval(programmeTimer);
+        programmeTimer = null;
+    }
+    programmeLine.hidden = true;
+    programmeLine.textContent = '';
+}
+
+// "Now: Show with Presenter · Next 14:00 Other show" under the tagline
+async function updateProgramme(station) {
+    const source = scheduleSource(station);
+    const time = Date.now();
+    const today = await window.programmeGuide.getDay(source, time);
+    let { now, next } = window.programmeGuide.nowNext(today, time);
+    // Late in the day the next show is tomorrow's first
+    if (!next && today.length) {
+        next = window.programmeGuide.nowNext(await window.programmeGuide.getDay(source, time + DAY_MS), time).next;
+    }
+    if (activeStation() !== station || !programmeTimer) return;
+
+    const parts = [];
+    if (now) parts.push(`Now: ${showTitle(now)}`);
+    if (next) parts.push(`Next ${formatClock(new Date(next.start))} ${next.title}`);
+    programmeLine.textContent = parts.join(' · ');
+    programmeLine.hidden = parts.length === 0;
+}
+
+function scheduleDayLabel(offset) {
+    if (offset === 0) return 'Today';
+    if (offset === 1) return 'Tomorrow';
+    if (offset === -1) return 'Yesterday';
+    return new Date(Date.now() + offset * DAY_MS).toLocaleDateString(undefined, { weekday: 'long', day: 'numeric', month: 'short' });
+}
+
+async function renderSchedule() {
+    const station = activeStation();
+    const source = scheduleSource(station);
+    document.getElementById('scheduleStation').textContent = station ? `${station.name} schedule` : 'Schedule';
+    scheduleDay.textContent = scheduleDayLabel(scheduleOffset);
+
+    if (!station) {
+        scheduleList.innerHTML = '<div class="search-empty">Start a station to see its schedule.</div>';
+        return;
+    }
+    if (!source) {
+        scheduleList.innerHTML = '<div class="search-empty">This station doesn\'t publish a schedule.</div>';
+        return;
+    }
+
+    const offset = scheduleOffset;
+    scheduleList.innerHTML = '<div class="search-empty">Loading…</div>';
+    const shows = await window.programmeGuide.getDay(source, Date.now() + offset * DAY_MS);
+    if (offset !== scheduleOffset || activeStation() !== station) return;
+
+    scheduleList.innerHTML = '';
+    if (shows.length === 0) {
+        scheduleList.innerHTML = '<div class="search-empty">Nothing scheduled.</div>';
+        return;
+    }
+
+    const now = Date.now();
+    shows.forEach(show => {
+        const row = document.createElement('div');
+        row.className = 'recording-row schedule-row';
+        row.classList.toggle('current', show.start <= now && show.end > now);
+        row.classList.toggle('past', show.end <= now);
+        row.innerHTML = `
+            <div class="history-time">${formatClock(new Date(show.start))}–${formatClock(new Date(show.end))}</div>
+            <div class="recording-info">
+                <div class="recording-name">${escapeHtml(show.title)}</div>
+                <div class="alarm-detail">${escapeHtml(show.presenter || show.description)}</div>
+            </div>
+        `;
+        scheduleList.appendChild(row);
+        if (row.classList.contains('current')) requestAnimationFrame(() => row.scrollIntoView({ block: 'center' }));
+    });
+}
+
+function openScheduleModal() {
+    scheduleOffset = 0;
+    renderSchedule();
+    scheduleModal.classList.add('open');
+}
+
+function closeScheduleModal() {
+    scheduleModal.classList.remove('open');
+}
+
+scheduleBtn.addEventListener('click', openScheduleModal);
+programmeLine.addEventListener('click', openScheduleModal);
+
+document.getElementById('scheduleClose').addEventListener('click', closeScheduleModal);
+
+document.getElementById('schedulePrev').addEventListener('click', () => {
+    scheduleOffset--;
+    renderSchedule();
+});
+
+document.getElementById('scheduleNext').addEventListener('click', () => {
+    scheduleOffset++;
+    renderSchedule();
+});
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && scheduleModal.classList.contains('open')) closeScheduleModal();
+});
+
+// ============================================================================
+// Track History
+// ============================================================================
+
+// The panel shows the latest entries; exports include everything
+const HISTORY_PANEL_LIMIT = 300;
+
+const historyModal = document.getElementById('historyModal');
+const historyBtn = document.getElementById('historyBtn');
+const historyList = document.getElementById('historyList');
+
+function recordHistory(track) {
+    const station = stations.find(s => s.id === currentStationId);
+    if (!station) return;
+    window.trackHistory.record({
+        stationId: station.id,
+        station: station.name,
+        title: track.title,
+        artist: track.artist
+    }).then(() => {
+        if (historyModal.classList.contains('open')) renderHistory();
+    }).catch(() => {});
+}
+
+function historyDayLabel(date) {
+    const today = new Date();
+    const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+    if (date.toDateString() === today.toDateString()) return 'Today';
+    if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+    return date.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+// IndexedDB can fail (quota, a connection closed by an upgrade elsewhere);
+// say so in the panel rather than leaving it stale
+function showHistoryError(message, err) {
+    console.error(message, err);
+    historyList.innerHTML = `<div class="search-empty">${escapeHtml(message)}</div>`;
+}
+
+// Days, newest first; within a day, a new station heading whenever the station changes
+async function renderHistory() {
+    let entries;
+    try {
+        entries = await window.trackHistory.list(HISTORY_PANEL_LIMIT);
+    } catch (err) {
+        showHistoryError('Could not load track history.', err);
+        return;
+    }
+    historyList.innerHTML = '';
+    if (entries.length === 0) {
+        historyList.innerHTML = '<div class="search-empty">Tracks you hear will show up here.</div>';
+        return;
+    }
+
+    let day = null;
+    let station = null;
+    entries.forEach(entry => {
+        const playedAt = new Date(entry.playedAt);
+        const label = historyDayLabel(playedAt);
+        if (label !== day) {
+            day = label;
+            station = null;
+            const heading = document.createElement('div');
+            heading.className = 'sheet-label history-day';
+            heading.textContent = label;
+            historyList.appendChild(heading);
+        }
+        if (entry.stationId !== station) {
+            station = entry.stationId;
+            const heading = document.createElement('div');
+            heading.className = 'history-station';
+            heading.textContent = entry.station;
+            historyList.appendChild(heading);
+        }
+
+        const row = document.createElement('div');
+        row.className = 'recording-row';
+        row.innerHTML = `
+            <div class="history-time">${formatClock(playedAt)}</div>
+            <div class="recording-info">
+                <div class="recording-name">${escapeHtml(entry.title)}</div>
+                <div class="alarm-detail">${escapeHtml(entry.artist)}</div>
+            </div>
+        `;
+        historyList.appendChild(row);
+    });
+}
+
+function closeHistoryModal() {
+    historyModal.classList.remove('open');
+}
+
+let historyTab = 'recent';
+
+function setHistoryTab(tab) {
+    historyTab = tab;
+    historyModal.querySelectorAll('.modal-tab').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.historyTab === tab);
+    });
+    document.getElementById('historyPane').hidden = tab !== 'recent';
+    document.getElementById('likedPane').hidden = tab !== 'liked';
+    if (tab === 'liked') renderFavourites();
+    else renderHistory();
+}
+
+historyModal.querySelectorAll('.modal-tab').forEach(btn => {
+    btn.addEventListener('click', () => setHistoryTab(btn.dataset.historyTab));
+});
+
+historyBtn.addEventListener('click', () => {
+    setHistoryTab(historyTab);
+    historyModal.classList.add('open');
+});
+
+document.getElementById('historyClose').addEventListener('click', closeHistoryModal);
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && historyModal.classList.contains('open')) closeHistoryModal();
+});
+
+historyModal.querySelectorAll('[data-history-export]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+        let entries;
+        try {
+            entries = await window.trackHistory.list();
+        } catch (err) {
+            showHistoryError('Could not export track history.', err);
+            return;
+        }
+        const stamp = new Date().toISOString().slice(0, 10);
+        if (btn.dataset.historyExport === 'csv') {
+            window.presetIO.download(`minify-history-${stamp}.csv`, window.trackHistory.toCSV(entries), 'text/csv');
+        } else {
+            window.presetIO.download(`minify-history-${stamp}.json`, window.trackHistory.toJSON(entries), 'application/json');
+        }
+    });
+});
+
+document.getElementById('historyClear').addEventListener('click', async () => {
+    if (!confirm('Clear all track history?')) return;
+    try {
+        await window.trackHistory.clear();
+    } catch (err) {
+        showHistoryError('Could not clear track history.', err);
+        return;
+    }
+    renderHistory();
+});
+
+// ============================================================================
+// Favourite Tracks
+// ============================================================================
+
+// Where a liked track can be looked up; {query} is the encoded "artist title"
+const TRACK_SEARCH_SERVICES = [
+    { label: 'Spotify', url: 'https://open.spotify.com/search/{query}' },
+    { label: 'Apple Music', url: 'https://music.apple.com/search?term={query}' },
+    { label: 'YouTube Music', url: 'https://music.youtube.com/search?q={query}' },
+    { label: 'Bandcamp', url: 'https://bandcamp.com/search?q={query}' }
+];
+
+const likedList = document.getElementById('likedList');
+
+function trackText(track) {
+    return [track.artist, track.title].filter(Boolean).join(' – ');
+}
+
+function trackSearchUrl(service, track) {
+    return service.url.replace('{query}', encodeURIComponent([track.artist, track.title].filter(Boolean).join(' ')));
+}
+
+// The heart only shows while station metadata names a track
+function updateLikeButton() {
+    const track = currentTrack;
+    likeBtn.hidden = !track;
+    updateLockScreenActions();
+    if (!track) {
+        setCurrentTrackLiked(false);
+        return;
+    }
+    window.trackHistory.findFavourite(track).then(favourite => {
+        if (track !== currentTrack) return;
+        likeBtn.textContent = favourite ? '♥' : '♡';
+        likeBtn.setAttribute('aria-pressed', String(!!favourite));
+        likeBtn.setAttribute('aria-label', favourite ? 'Unlike this track' : 'Like this track');
+        setCurrentTrackLiked(!!favourite);
+    }).catch(() => {});
+}
+
+// The lock screen has no heart, so its album line carries one instead
+function setCurrentTrackLiked(liked) {
+    if (liked === currentTrackLiked) return;
+    currentTrackLiked = liked;
+    if (playback.isPlaying()) updateMediaSession(trackInfo.textContent, trackArtist.textContent, currentStationName);
+}
+
+// Also the lock screen's skip-forward action while the stream can't be
+// rewound (see updateLockScreenActions)
+async function toggleLikeCurrentTrack() {
+    const track = currentTrack;
+    const station = stations.find(s => s.id === currentStationId);
+    if (!track || !station) return;
+
+    try {
+        const favourite = await window.trackHistory.findFavourite(track);
+        if (favourite) {
+            await window.trackHistory.unlike(favourite.id);
+        } else {
+            await window.trackHistory.like({
+                stationId: station.id,
+                station: station.name,
+                title: track.title,
+                artist: track.artist
+            });
+        }
+    } catch (err) {
+        console.error('Like failed:', err);
+    }
+    // Either way, show what's actually stored
+    updateLikeButton();
+    if (historyModal.classList.contains('open') && historyTab === 'liked') renderFavourites();
+}
+
+function showFavouritesError(message, err) {
+    console.error(message, err);
+    likedList.innerHTML = `<div class="search-empty">${escapeHtml(message)}</div>`;
+}
+
+async function renderFavourites() {
+    let favourites;
+    try {
+        favourites = await window.trackHistory.favourites();
+    } catch (err) {
+        showFavouritesError('Could not load liked tracks.', err);
+        return;
+    }
+    likedList.innerHTML = '';
+    if (favourites.length === 0) {
+        likedList.innerHTML = '<div class="search-empty">Tap ♡ while a track is playing to keep it here.</div>';
+        return;
+    }
+
+    favourites.forEach(favourite => {
+        const likedAt = new Date(favourite.likedAt);
+        const row = document.createElement('div');
+        row.className = 'favourite-row';
+        row.innerHTML = `
+            <div class="recording-row">
+                <div class="recording-info">
+                    <div class="recording-name">${escapeHtml(favourite.title)}</div>
+                    <div class="alarm-detail">${escapeHtml([favourite.artist, favourite.station].filter(Boolean).join(' · '))} · ${historyDayLabel(likedAt)} ${formatClock(likedAt)}</div>
+                </div>
+                <button class="sheet-btn compact" data-action="copy">Copy</button>
+                <button class="sheet-btn compact" data-action="delete" aria-label="Remove from liked">✕</button>
+            </div>
+            <div class="favourite-links">
+                ${TRACK_SEARCH_SERVICES.map(service => `<a href="${escapeHtml(trackSearchUrl(service, favourite))}" target="_blank" rel="noopener">${service.label}</a>`).join('')}
+            </div>
+        `;
+
+        const copyBtn = row.querySelector('[data-action="copy"]');
+        copyBtn.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(trackText(favourite));
+                copyBtn.textContent = 'Copied';
+            } catch (err) {
+                console.error('Track copy failed:', err);
+                copyBtn.textContent = 'Copy failed';
+            }
+            setTimeout(() => { copyBtn.textContent = 'Copy'; }, 2000);
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+            try {
+                await window.trackHistory.unlike(favourite.id);
+            } catch (err) {
+                showFavouritesError('Could not remove that track.', err);
+                return;
+            }
+            renderFavourites();
+            updateLikeButton();
+        });
+        likedList.appendChild(row);
+    });
+}
+
+likeBtn.addEventListener('click', toggleLikeCurrentTrack);
+
+// ============================================================================
+// Artwork
+// ============================================================================
+
+const ARTWORK_OFF = 'off';
+// Smallest cover that stays sharp in the header on 2x screens
+const HEADER_ARTWORK_SIZE = 128;
+
+const artworkBtn = document.getElementById('artworkBtn');
+
+function artworkOptions() {
+    return window.artwork.getServices().map(service => service.name).concat(ARTWORK_OFF);
+}
+
+// Off unless the user picks a service, since lookups send the playing track
+// to a third party; the station logo shows meanwhile
+function artworkService() {
+    return artworkOptions().includes(settings.artworkService) ? settings.artworkService : ARTWORK_OFF;
+}
+
+function updateArtworkButton() {
+    const service = window.artwork.getServices().find(s => s.name === artworkService());
+    artworkBtn.textContent = service ? `Art · ${service.label}` : 'Art off';
+    artworkBtn.setAttribute('aria-pressed', String(!!service));
+}
+
+// The station logo until (or unless) the track has a cover. A cover from the
+// metadata source beats a lookup; the header only shows covers, since the
+// logo is already there.
+function updateArtwork() {
+    const station = currentStationId ? stations.find(s => s.id === currentStationId) : null;
+    const track = currentTrack;
+    const key = station ? [station.id, station.logoUrl, track && track.artist, track && track.title, track && track.artwork, artworkService()].join('|') : '';
+    if (key === artworkKey) return;
+    artworkKey = key;
+
+    const logo = station && station.logoUrl ? [{ src: station.logoUrl }] : null;
+    if (track && track.artwork) {
+        setArtwork([{ src: track.artwork }], true);
+        return;
+    }
+    setArtwork(logo, false);
+    if (!track || artworkService() === ARTWORK_OFF) return;
+
+    window.artwork.lookup(track, artworkService()).then(images => {
+        if (images && artworkKey === key) setArtwork(images, true);
+    });
+}
+
+function setArtwork(images, isCover) {
+    const changed = currentArtwork !== images;
+    currentArtwork = images;
+
+    if (isCover) {
+        const header = images.find(image => parseInt(image.sizes, 10) >= HEADER_ARTWORK_SIZE) || images[images.length - 1];
+        trackArtwork.src = header.src;
+        trackArtwork.hidden = false;
+    } else {
+        trackArtwork.hidden = true;
+        trackArtwork.removeAttribute('src');
+    }
+
+    if (changed && playback.isPlaying()) updateMediaSession(trackInfo.textContent, trackArtist.textContent, currentStationName);
+}
+
+// A cover that fails to load leaves the logo on its own
+trackArtwork.addEventListener('error', () => {
+    trackArtwork.hidden = true;
+});
+
+artworkBtn.addEventListener('click', () => {
+    const options = artworkOptions();
+    settings.artworkService = options[(options.indexOf(artworkService()) + 1) % options.length];
+    saveSettings();
+    updateArtworkButton();
+    updateArtwork();
+});
+
+updateArtworkButton();
+
+// ============================================================================
+// Scrobbling
+// ============================================================================
+
+const scrobbleModal = document.getElementById('scrobbleModal');
+const scrobbleBtn = document.getElementById('scrobbleBtn');
+const scrobbleForm = document.getElementById('scrobbleForm');
+const scrobbleServer = document.getElementById('scrobbleServer');
+const scrobbleToken = document.getElementById('scrobbleToken');
+const scrobbleStatus = document.getElementById('scrobbleStatus');
+const scrobbleStop = document.getElementById('scrobbleStop');
+
+// { server, token, user } once a token has been checked
+function scrobbleSettings() {
+    const saved = settings.scrobble;
+    return saved && typeof saved.token === 'string' && saved.token ? saved : null;
+}
+
+function updateScrobbleUI(status = window.scrobbler.getStatus()) {
+    const saved = scrobbleSettings();
+    scrobbleBtn.textContent = status.queued && saved ? `Scrobble · ${status.queued}` : 'Scrobble';
+    scrobbleBtn.setAttribute('aria-pressed', String(!!saved));
+    scrobbleStop.disabled = !saved;
+
+    const waiting = status.queued ? ` · ${status.queued} waiting to send` : '';
+    if (!saved) {
+        scrobbleStatus.textContent = status.queued ? `Off${waiting}` : 'Off';
+    } else if (status.error) {
+        scrobbleStatus.textContent = `✗ ${status.error}${waiting}`;
+    } else {
+        scrobbleStatus.textContent = `Scrobbling${saved.user ? ` as ${saved.user}` : ''}${waiting}`;
+    }
+}
+
+function closeScrobbleModal() {
+    scrobbleModal.classList.remove('open');
+}
+
+scrobbleBtn.addEventListener('click', () => {
+    const saved = scrobbleSettings();
+    scrobbleServer.value = saved && saved.server ? saved.server : window.scrobbler.DEFAULT_SERVER;
+    scrobbleToken.value = saved ? saved.token : '';
+    updateScrobbleUI();
+    scrobbleModal.classList.add('open');
+});
+
+document.getElementById('scrobbleClose').addEventListener('click', closeScrobbleModal);
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && scrobbleModal.classList.contains('open')) closeScrobbleModal();
+});
+
+// The token is checked before it's saved, so a typo doesn't pile up failed listens
+scrobbleForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const server = scrobbleServer.value.trim() || window.scrobbler.DEFAULT_SERVER;
+    const token = scrobbleToken.value.trim();
+    if (!window.stationStore.isStreamUrl(server)) {
+        scrobbleStatus.textContent = '✗ Enter an http(s) server address';
+        return;
+    }
+
+    scrobbleStatus.textContent = 'Checking token…';
+    try {
+        const user = await window.scrobbler.validateToken(server, token);
+        settings.scrobble = { server, token, user };
+        saveSettings();
+        window.scrobbler.configure(settings.scrobble);
+    } catch (err) {
+        scrobbleStatus.textContent = `✗ ${err.name === 'AbortError' || err instanceof TypeError ? 'Server unreachable' : err.message}`;
+    }
+});
+
+scrobbleStop.addEventListener('click', () => {
+    delete settings.scrobble;
+    saveSettings();
+    window.scrobbler.configure(null);
+    scrobbleToken.value = '';
+});
+
+// Only real playback counts towards a listen; paused and buffering time doesn't
+playback.on('statechange', ({ state }) => {
+    window.scrobbler.setPlaying(state === 'playing');
+});
+
+window.scrobbler.onStatus(updateScrobbleUI);
+window.scrobbler.configure(scrobbleSettings());
+
+// ============================================================================
+// Metadata Proxy
+// ============================================================================
+
+const PROXY_CHECK_TIMEOUT = 5000;
+
+const proxyModal = document.getElementById('proxyModal');
+const proxyBtn = document.getElementById('proxyBtn');
+const proxyForm = document.getElementById('proxyForm');
+const proxyUrlInput = document.getElementById('proxyUrlInput');
+const proxyStatus = document.getElementById('proxyStatus');
+const proxyClear = document.getElementById('proxyClear');
+
+function proxyUrl() {
+    return window.stationStore.isStreamUrl(settings.proxyUrl) ? settings.proxyUrl : '';
+}
+
+function updateProxyUI() {
+    proxyBtn.setAttribute('aria-pressed', String(!!proxyUrl()));
+    proxyClear.disabled = !proxyUrl();
+}
+
+// Resolves true if `base` answers /health like proxy/server.js
+async function checkProxy(base) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PROXY_CHECK_TIMEOUT);
+    try {
+        const response = await fetch(`${base.replace(/\/+$/, '')}/health`, { signal: controller.signal, cache: 'no-store' });
+        return response.ok && (await response.text()).trim() === 'ok';
+    } catch (err) {
+        return false;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Titles for the playing station switch over straight away
+function setProxyUrl(url) {
+    if (url) settings.proxyUrl = url;
+    else delete settings.proxyUrl;
+    saveSettings();
+    window.nowPlaying.setProxy(proxyUrl());
+    updateProxyUI();
+
+    const stream = playback.getCurrentStream();
+    if (metadataSession && stream) {
+        metadataSession.stop();
+        metadataSession = null;
+        startMetadataUpdates(stream.url);
+    }
+}
+
+function closeProxyModal() {
+    proxyModal.classList.remove('open');
+}
+
+proxyBtn.addEventListener('click', () => {
+    proxyUrlInput.value = proxyUrl();
+    proxyStatus.textContent = proxyUrl() ? 'Track titles go through your proxy' : 'No proxy set';
+    updateProxyUI();
+    proxyModal.classList.add('open');
+});
+
+document.getElementById('proxyClose').addEventListener('click', closeProxyModal);
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && proxyModal.classList.contains('open')) closeProxyModal();
+});
+
+// Only saved once it answers, so a typo can't silently stop all titles
+proxyForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const url = proxyUrlInput.value.trim();
+    if (!url) {
+        setProxyUrl('');
+        proxyStatus.textContent = 'No proxy set';
+        return;
+    }
+    if (!window.stationStore.isStreamUrl(url)) {
+        proxyStatus.textContent = '✗ Enter an http(s) address';
+        return;
+    }
+
+    proxyStatus.textContent = 'Checking proxy…';
+    if (!(await checkProxy(url))) {
+        proxyStatus.textContent = '✗ No proxy answered at that address';
+        return;
+    }
+    setProxyUrl(url);
+    proxyStatus.textContent = '✓ Connected · track titles go through your proxy';
+});
+
+proxyClear.addEventListener('click', () => {
+    setProxyUrl('');
+    proxyUrlInput.value = '';
+    proxyStatus.textContent = 'No proxy set';
+});
+
+window.nowPlaying.setProxy(proxyUrl());
+updateProxyUI();
+
+// ============================================================================
+// Station Search Modal
+// ============================================================================
+
+let targetSlotIndex = 0;
+let searchDebounceTimer = null;
+
+const modal = document.getElementById('stationModal');
+const stationSearch = document.getElementById('stationSearch');
+const searchResults = document.getElementById('searchResults');
+const modalCloseBtn = document.getElementById('modalClose');
+const searchPane = document.getElementById('searchPane');
+const urlPane = document.getElementById('urlPane');
+
+const SEARCH_HINT_HTML = '<div class="search-hint">Search by name, genre or country</div>';
+
+// Convert HSL to hex for auto-theming stations
+function hslToHex(h, s, l) {
+    s /= 100; l /= 100;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => {
+        const k = (n + h / 30) % 12;
+        const color = l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
+        return Math.round(255 * color).toString(16).padStart(2, '0');
+    };
+    return `#${f(0)}${f(8)}${f(4)}`;
+}
+
+function openModal(slotIndex) {
+    targetSlotIndex = slotIndex;
+    stationSearch.value = '';
+    searchResults.innerHTML = SEARCH_HINT_HTML;
+    setModalMode('search');
+    modal.classList.add('open');
+    setTimeout(() => stationSearch.focus(), 350);
+}
+
+function closeModal() {
+    modal.classList.remove('open');
+    setTimeout(() => {
+        stationSearch.value = '';
+        searchResults.innerHTML = SEARCH_HINT_HTML;
+        resetUrlPane();
+    }, 350);
+}
+
+// Switch between radio-browser search and direct stream URL entry
+function setModalMode(mode) {
+    modal.querySelectorAll('.modal-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.mode === mode);
+    });
+    searchPane.hidden = mode !== 'search';
+    urlPane.hidden = mode !== 'url';
+}
+
+modal.querySelectorAll('.modal-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+        setModalMode(tab.dataset.mode);
+        (tab.dataset.mode === 'url' ? streamUrlInput : stationSearch).focus();
+    });
+});
+
+modalCloseBtn.addEventListener('click', closeModal);
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && modal.classList.contains('open')) closeModal();
+});
+
+stationSearch.addEventListener('input', () => {
+    const query = stationSearch.value.trim();
+    clearTimeout(searchDebounceTimer);
+
+    if (query.length < 2) {
+        searchResults.innerHTML = SEARCH_HINT_HTML;
+        return;
+    }
+
+    searchResults.innerHTML = '<div class="search-loading">Searching...</div>';
+    searchDebounceTimer = setTimeout(() => searchStations(query), 300);
+});
+
+async function searchStations(query) {
+    try {
+        const url = `https://de1.api.radio-browser.info/json/stations/search?name=${encodeURIComponent(query)}&limit=20&hidebroken=true&order=clickcount`;
+        const response = await fetch(url);
+        if (!response.ok) throw new Error('Search failed');
+        const results = await response.json();
+        renderSearchResults(results);
+    } catch (err) {
+        console.error('Station search error:', err);
+        searchResults.innerHTML = '<div class="search-empty">Search unavailable. Check your connection.</div>';
+    }
+}
+
+// Generate initials and a stable hue from a station name
+function stationInitials(name) {
+    const words = name.trim().split(/\s+/);
+    if (words.length >= 2) return (words[0][0] + words[1][0]).toUpperCase();
+    return name.substring(0, 2).toUpperCase();
+}
+
+function stationHue(name) {
+    let h = 0;
+    for (let i = 0; i < name.length; i++) h = (h * 31 + name.charCodeAt(i)) | 0;
+    return Math.abs(h) % 360;
+}
+
+function renderSearchResults(results) {
+    if (!results || results.length === 0) {
+        searchResults.innerHTML = '<div class="search-empty">No stations found. Try a different name.</div>';
+        return;
+    }
+
+    searchResults.innerHTML = '';
+    results.forEach(station => {
+        const item = document.createElement('div');
+        item.className = 'result-item';
+
+        const hue = stationHue(station.name);
+        const initials = stationInitials(station.name);
+        const meta = station.country || '';
+
+        item.innerHTML = `
+            <div class="result-icon" style="background:hsl(${hue},45%,28%)">
+                <span class="result-initials">${escapeHtml(initials)}</span>
+                ${station.favicon ? `<img class="result-favicon" src="${escapeHtml(station.favicon)}" alt="" onerror="this.remove()">` : ''}
+            </div>
+            <div class="result-info">
+                <div class="result-name">${escapeHtml(station.name)}</div>
+                <div class="result-meta">${escapeHtml(meta)}</div>
+            </div>
+        `;
+
+        item.addEventListener('click', () => selectSearchResult(item, station));
+        searchResults.appendChild(item);
+    });
+}
+
+function selectSearchResult(itemEl, station) {
+    // Auto-derive wave colour from the same hue used for the station icon
+    const themeColor = hslToHex(stationHue(station.name), 70, 50);
+
+    storeCustomStation({
+        slotIndex: targetSlotIndex,
+        id: 'custom_' + Date.now(),
+        name: station.name,
+        url: station.url_resolved || station.url,
+        streams: [station.url_resolved, station.url].filter((u, i, list) => u && list.indexOf(u) === i),
+        tagline: station.country || (station.tags ? station.tags.split(',')[0] : '') || '',
+        logoUrl: station.favicon || null,
+        isDefault: false,
+        themeColor
+    });
+}
+
+function storeCustomStation(newStation) {
+    stations[targetSlotIndex] = newStation;
+    saveStations(stations);
+    renderStations(stations);
+    closeModal();
+    detectMetadataSource(newStation);
+}
+
+// ============================================================================
+// Add Station by Stream URL
+// ============================================================================
+
+const streamUrlInput = document.getElementById('streamUrlInput');
+const probeBtn = document.getElementById('probeBtn');
+const probeStatus = document.getElementById('probeStatus');
+const urlStationForm = document.getElementById('urlStationForm');
+
+let probedUrl = null;
+
+function resetUrlPane() {
+    probedUrl = null;
+    streamUrlInput.value = '';
+    probeStatus.textContent = '';
+    urlStationForm.hidden = true;
+    urlStationForm.reset();
+}
+
+async function probeStreamUrl() {
+    const url = streamUrlInput.value.trim();
+    if (!url) return;
+
+    probedUrl = null;
+    urlStationForm.hidden = true;
+    probeBtn.disabled = true;
+    probeStatus.textContent = 'Checking stream…';
+
+    const result = await window.streamProbe.probe(url);
+    probeBtn.disabled = false;
+
+    // Ignore stale results if the URL was edited while probing
+    if (streamUrlInput.value.trim() !== url) return;
+
+    if (!result.ok) {
+        probeStatus.textContent = `✗ ${result.error || 'Stream could not be played'}`;
+        return;
+    }
+
+    probedUrl = url;
+    probeStatus.textContent = `✓ Playable${result.contentType ? ' · ' + result.contentType : ''}`;
+
+    const name = result.icyName || new URL(url).hostname.replace(/^www\./, '');
+    document.getElementById('urlStationName').value = name;
+    document.getElementById('urlStationTagline').value = '';
+    document.getElementById('urlStationLogo').value = '';
+    document.getElementById('urlStationColor').value = hslToHex(stationHue(name), 70, 50);
+    urlStationForm.hidden = false;
+}
+
+probeBtn.addEventListener('click', probeStreamUrl);
+
+streamUrlInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') probeStreamUrl();
+});
+
+streamUrlInput.addEventListener('input', () => {
+    if (probedUrl && streamUrlInput.value.trim() !== probedUrl) {
+        probedUrl = null;
+        probeStatus.textContent = '';
+        urlStationForm.hidden = true;
+    }
+});
+
+urlStationForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!probedUrl) return;
+
+    const logoUrl = document.getElementById('urlStationLogo').value.trim();
+    storeCustomStation({
+        slotIndex: targetSlotIndex,
+        id: 'custom_' + Date.now(),
+        name: document.getElementById('urlStationName').value.trim(),
+        url: probedUrl,
+        tagline: document.getElementById('urlStationTagline').value.trim(),
+        logoUrl: window.stationStore.isStreamUrl(logoUrl) ? logoUrl : null,
+        isDefault: false,
+        themeColor: document.getElementById('urlStationColor').value
+    });
+});
+
+// Build a slot record from an imported or shared entry. Entries pointing at a
+// built-in stream restore that default so its CSS theme still applies.
+// Backup streams and EQ come from the file too, checked like stored stations
+function stationFromEntry(entry, slotIndex) {
+    const carried = {};
+    if (entry.streams) carried.streams = entry.streams;
+    if (entry.eq) carried.eq = entry.eq;
+    const builtIn = DEFAULT_STATIONS.find(s => s.url === entry.url);
+    if (builtIn) return window.stationStore.validateStation(Object.assign({}, builtIn, carried), slotIndex);
+
+    return window.stationStore.validateStation(Object.assign({
+        id: 'custom_' + Date.now() + '_' + slotIndex,
+        name: entry.name,
+        url: entry.url,
+        tagline: entry.tagline || '',
+        logoUrl: entry.logoUrl || null,
+        isDefault: false,
+        themeColor: /^#[0-9a-f]{6}$/i.test(entry.themeColor || '')
+            ? entry.themeColor
+            : hslToHex(stationHue(entry.name), 70, 50)
+    }, carried), slotIndex);
+}
+
+// ============================================================================
+// Station Edit Sheet
+// ============================================================================
+
+const LOGO_MAX_SIZE = 256;
+
+const editModal = document.getElementById('editModal');
+const editForm = document.getElementById('editForm');
+const editName = document.getElementById('editName');
+const editTagline = document.getElementById('editTagline');
+const editLogo = document.getElementById('editLogo');
+const editLogoFile = document.getElementById('editLogoFile');
+const editLogoPreview = document.getElementById('editLogoPreview');
+const editColor = document.getElementById('editColor');
+const editStreams = document.getElementById('editStreams');
+
+let editSlotIndex = 0;
+let editLogoData = null;      // Uploaded image as a data: URL, stored locally only
+let editColorInitial = null;  // The picker's value on opening; only a change sets themeColor
+let themeBeforeEdit = null;
+
+function openEditSheet(slotIndex) {
+    const station = stations[slotIndex];
+    editSlotIndex = slotIndex;
+    editLogoData = station.logoUrl && station.logoUrl.startsWith('data:') ? station.logoUrl : null;
+
+    editName.value = station.name || '';
+    editTagline.value = station.tagline || '';
+    editLogo.value = editLogoData ? '' : (station.logoUrl || '');
+    editColor.value = station.themeColor || hslToHex(stationHue(station.name || ''), 70, 50);
+    editColorInitial = editColor.value;
+    editStreams.value = stationStreams(station).join('\n');
+    renderLogoPreview();
+
+    themeBeforeEdit = {
+        bodyClass: document.body.className,
+        color: document.documentElement.style.getPropertyValue('--custom-color')
+    };
+    editModal.classList.add('open');
+}
+
+function closeEditSheet() {
+    editModal.classList.remove('open');
+    restoreTheme();
+}
+
+// Undo the live colour preview
+function restoreTheme() {
+    if (!themeBeforeEdit) return;
+    const activeCard = stationGrid.querySelector('.station-card.active');
+
+    if (activeCard) {
+        applyStationTheme(stations[parseInt(activeCard.dataset.slotIndex, 10)]);
+    } else if (themeBeforeEdit.bodyClass === 'theme-custom' && themeBeforeEdit.color) {
+        document.body.className = 'theme-custom';
+        setCustomThemeColor(themeBeforeEdit.color.trim());
+    } else {
+        document.body.className = themeBeforeEdit.bodyClass || 'no-selection';
+        if (window.waveGrid) window.waveGrid.setTheme('default');
+    }
+    themeBeforeEdit = null;
+}
+
+function renderLogoPreview() {
+    const src = editLogoData || editLogo.value.trim();
+    editLogoPreview.innerHTML = src
+        ? `<img src="${escapeHtml(src)}" alt="" onerror="this.remove()">`
+        : '';
+}
+
+// Downscale uploads so a logo doesn't eat the localStorage quota
+function readLogoFile(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            const scale = Math.min(1, LOGO_MAX_SIZE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.width * scale);
+            canvas.height = Math.round(img.height * scale);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            resolve(canvas.toDataURL('image/png'));
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Not an image'));
+        };
+        img.src = url;
+    });
+}
+
+editColor.addEventListener('input', () => {
+    document.body.className = 'theme-custom';
+    setCustomThemeColor(editColor.value);
+});
+
+editLogo.addEventListener('input', () => {
+    editLogoData = null;
+    renderLogoPreview();
+});
+
+document.getElementById('editLogoUpload').addEventListener('click', () => editLogoFile.click());
+
+editLogoFile.addEventListener('change', async () => {
+    const file = editLogoFile.files[0];
+    editLogoFile.value = '';
+    if (!file) return;
+    try {
+        editLogoData = await readLogoFile(file);
+        editLogo.value = '';
+        renderLogoPreview();
+    } catch (err) {
+        console.warn('Logo upload failed:', err.message);
+    }
+});
+
+document.getElementById('editLogoClear').addEventListener('click', () => {
+    editLogoData = null;
+    editLogo.value = '';
+    renderLogoPreview();
+});
+
+document.getElementById('editChangeStation').addEventListener('click', () => {
+    closeEditSheet();
+    openModal(editSlotIndex);
+});
+
+document.getElementById('editClose').addEventListener('click', closeEditSheet);
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && editModal.classList.contains('open')) closeEditSheet();
+});
+
+editForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const station = stations[editSlotIndex];
+    const logoUrl = editLogo.value.trim();
+
+    station.name = editName.value.trim() || station.name;
+    station.tagline = editTagline.value.trim();
+    // Typed logos must be http(s), as in the add-by-URL form; a bundled
+    // logo left as it was stays
+    const keptLogo = logoUrl && logoUrl === station.logoUrl;
+    station.logoUrl = editLogoData || (window.stationStore.isStreamUrl(logoUrl) || keptLogo ? logoUrl : null);
+    // Built-in themes show as a hex approximation; saving unchanged keeps them
+    if (editColor.value !== editColorInitial) station.themeColor = editColor.value;
+
+    // One URL per line, in failover order; invalid lines are dropped
+    const streams = editStreams.value.split(/\s+/).filter(u => window.stationStore.isStreamUrl(u));
+    if (streams.length) {
+        station.url = streams[0];
+        station.streams = streams.filter((u, i) => streams.indexOf(u) === i);
+    }
+
+    saveStations(stations);
+    renderStations(stations);
+
+    editModal.classList.remove('open');
+
+    const activeCard = stationGrid.querySelector('.station-card.active');
+    if (activeCard && parseInt(activeCard.dataset.slotIndex, 10) === editSlotIndex) {
+        themeBeforeEdit = null;
+        currentStationName = station.name;
+        applyStationTheme(station);
+        updateBranding(station);
+    } else {
+        restoreTheme();
+    }
+});
+
+// ============================================================================
+// Preset Import / Export
+// ============================================================================
+
+const presetsModal = document.getElementById('presetsModal');
+const importFile = document.getElementById('importFile');
+const importMapping = document.getElementById('importMapping');
+
+const EXPORT_FORMATS = {
+    json: { ext: 'json', mime: 'application/json', build: s => window.presetIO.toJSON(s) },
+    m3u: { ext: 'm3u', mime: 'audio/x-mpegurl', build: s => window.presetIO.toM3U(s) },
+    pls: { ext: 'pls', mime: 'audio/x-scpls', build: s => window.presetIO.toPLS(s) }
+};
+
+let pendingImport = [];
+
+function openPresetsModal() {
+    pendingImport = [];
+    importMapping.innerHTML = '';
+    presetsModal.classList.add('open');
+}
+
+function closePresetsModal() {
+    presetsModal.classList.remove('open');
+}
+
+document.getElementById('presetsBtn').addEventListener('click', openPresetsModal);
+document.getElementById('presetsClose').addEventListener('click', closePresetsModal);
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && presetsModal.classList.contains('open')) closePresetsModal();
+});
+
+presetsModal.querySelectorAll('[data-export]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        const format = EXPORT_FORMATS[btn.dataset.export];
+        window.presetIO.download(`minify-presets.${format.ext}`, format.build(stations), format.mime);
+    });
+});
+
+document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+
+importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        renderImportMapping(window.presetIO.parse(text, file.name));
+    } catch (err) {
+        console.error('Preset import failed:', err);
+        importMapping.innerHTML = '<div class="search-empty">Could not read that file.</div>';
+    }
+});
+
+// Let the user choose which imported entry lands in each slot
+function renderImportMapping(result) {
+    pendingImport = result.entries;
+
+    if (pendingImport.length === 0) {
+        importMapping.innerHTML = '<div class="search-empty">No valid stream URLs found in that file.</div>';
+        return;
+    }
+
+    const options = pendingImport
+        .map((entry, i) => `<option value="${i}">${escapeHtml(entry.name)}</option>`)
+        .join('');
+
+    importMapping.innerHTML = stations.map((station, slot) => `
+        <label class="mapping-row">
+            <span class="mapping-slot">Slot ${slot + 1}</span>
+            <select class="mapping-select" data-slot="${slot}">
+                <option value="">Keep ${escapeHtml(station.name || 'empty slot')}</option>
+                ${options}
+            </select>
+        </label>
+    `).join('') +
+        (result.rejected ? `<div class="sheet-note">${result.rejected} entr${result.rejected === 1 ? 'y' : 'ies'} skipped (invalid URL)</div>` : '') +
+        '<button class="sheet-btn primary" id="importApply">Apply</button>';
+
+    // Entries that remember their slot go back to it; playlists fill slots in order
+    const positioned = pendingImport.some(entry => typeof entry.slot === 'number');
+    importMapping.querySelectorAll('.mapping-select').forEach((select, slot) => {
+        const index = positioned ? pendingImport.findIndex(entry => entry.slot === slot) : slot;
+        if (index >= 0 && index < pendingImport.length) select.value = String(index);
+    });
+
+    document.getElementById('importApply').addEventListener('click', applyImport);
+}
+
+function applyImport() {
+    importMapping.querySelectorAll('.mapping-select').forEach(select => {
+        if (select.value === '') return;
+        const slot = parseInt(select.dataset.slot, 10);
+        stations[slot] = stationFromEntry(pendingImport[parseInt(select.value, 10)], slot);
+    });
+
+    saveStations(stations);
+    renderStations(stations);
+    closePresetsModal();
+}
+
+// ============================================================================
+// Shareable Preset Links
+// ============================================================================
+
+const shareModal = document.getElementById('shareModal');
+const sharePreview = document.getElementById('sharePreview');
+const shareBtn = document.getElementById('shareBtn');
+
+let incomingShare = null;
+
+shareBtn.addEventListener('click', async () => {
+    const link = location.origin + location.pathname + window.presetIO.toShareFragment(stations);
+
+    if (navigator.share) {
+        try {
+            await navigator.share({ title: 'Minify Radio presets', url: link });
+            return;
+        } catch (err) {
+            if (err.name === 'AbortError') return;
+        }
+    }
+
+    try {
+        await navigator.clipboard.writeText(link);
+        shareBtn.textContent = 'Link copied';
+    } catch (err) {
+        console.error('Share link copy failed:', err);
+        shareBtn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { shareBtn.textContent = 'Share'; }, 2000);
+});
+
+// Show a preview of presets arriving via the URL fragment before applying them
+function checkSharedPresets() {
+    incomingShare = window.presetIO.fromShareFragment(location.hash);
+    if (!incomingShare) return;
+
+    sharePreview.innerHTML = '';
+    stations.forEach((current, slot) => {
+        const entry = incomingShare[slot];
+        const item = document.createElement('div');
+        item.className = 'result-item';
+
+        if (entry) {
+            item.innerHTML = `
+                <div class="result-icon" style="background:hsl(${stationHue(entry.name)},45%,28%)">
+                    <span class="result-initials">${escapeHtml(stationInitials(entry.name))}</span>
+                    ${entry.logoUrl ? `<img class="result-favicon" src="${escapeHtml(entry.logoUrl)}" alt="" onerror="this.remove()">` : ''}
+                </div>
+                <div class="result-info">
+                    <div class="result-name">${escapeHtml(entry.name)}</div>
+                    <div class="result-meta">Slot ${slot + 1} · replaces ${escapeHtml(current.name || 'empty slot')}</div>
+                </div>
+            `;
+        } else {
+            item.innerHTML = `
+                <div class="result-info">
+                    <div class="result-name">${escapeHtml(current.name || 'Empty slot')}</div>
+                    <div class="result-meta">Slot ${slot + 1} · unchanged</div>
+                </div>
+            `;
+        }
+        sharePreview.appendChild(item);
+    });
+
+    shareModal.classList.add('open');
+}
+
+function closeShareModal() {
+    shareModal.classList.remove('open');
+    incomingShare = null;
+    // Drop the fragment so a reload doesn't prompt again
+    history.replaceState(null, '', location.pathname + location.search);
+}
+
+function applySharedPresets() {
+    incomingShare.forEach((entry, slot) => {
+        if (entry) stations[slot] = stationFromEntry(entry, slot);
+    });
+    saveStations(stations);
+    renderStations(stations);
+    closeShareModal();
+}
+
+document.getElementById('shareAccept').addEventListener('click', applySharedPresets);
+document.getElementById('shareDecline').addEventListener('click', closeShareModal);
+document.getElementById('shareClose').addEventListener('click', closeShareModal);
+window.addEventListener('hashchange', checkSharedPresets);
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && shareModal.classList.contains('open')) closeShareModal();
+});
+
+// ============================================================================
+// Media Session API (CarPlay & Lock Screen Controls)
+// ============================================================================
+
+if ('mediaSession' in navigator) {
+    navigator.mediaSession.setActionHandler('play', () => playback.resume());
+    navigator.mediaSession.setActionHandler('pause', () => playback.pause());
+    navigator.mediaSession.setActionHandler('stop', () => stopStream());
+
+    navigator.mediaSession.setActionHandler('previoustrack', () => {
+        const cards = Array.from(stationGrid.querySelectorAll('.station-card:not(.empty)'));
+        const activeCard = cards.find(c => c.classList.contains('active'));
+        if (activeCard) {
+            const idx = cards.indexOf(activeCard);
+            cards[idx === 0 ? cards.length - 1 : idx - 1].click();
+        }
+    });
+
+    navigator.mediaSession.setActionHandler('nexttrack', () => {
+        const cards = Array.from(stationGrid.querySelectorAll('.station-card:not(.empty)'));
+        const activeCard = cards.find(c => c.classList.contains('active'));
+        if (activeCard) {
+            const idx = cards.indexOf(activeCard);
+            cards[(idx + 1) % cards.length].click();
+        }
+    });
+}
+
+// Seek buttons only appear on the lock screen while the stream can be rewound.
+// Otherwise skip-forward likes the current track: Media Session has no "like"
+// action browsers accept, and a live-only stream has nothing to skip through.
+const MEDIA_SESSION_SEEK_OFFSET = 15;
+let seekEnabled = false;
+let lockScreenMode = 'none';    // 'seek', 'like' or 'none'
+
+function updateSeekHandlers(enabled) {
+    seekEnabled = enabled;
+    updateLockScreenActions();
+}
+
+function updateLockScreenActions() {
+    if (!('mediaSession' in navigator)) return;
+    const mode = seekEnabled ? 'seek' : currentTrack ? 'like' : 'none';
+    if (mode === lockScreenMode) return;
+    lockScreenMode = mode;
+    const seekHandlers = {
+        seekbackward: (details) => seekTimeshift(-(details.seekOffset || MEDIA_SESSION_SEEK_OFFSET)),
+        seekforward: (details) => seekTimeshift(details.seekOffset || MEDIA_SESSION_SEEK_OFFSET),
+        seekto: (details) => {
+            const shift = playback.getTimeshift();
+            if (!shift) return;
+            playback.seekTo(shift.start + details.seekTime);
+            updateTimeshiftControls();
+        }
+    };
+    const handlers = mode === 'seek' ? seekHandlers : {
+        seekbackward: null,
+        seekforward: mode === 'like' ? () => toggleLikeCurrentTrack() : null,
+        seekto: null
+    };
+    Object.keys(handlers).forEach(action => {
+        try {
+            navigator.mediaSession.setActionHandler(action, handlers[action]);
+        } catch (err) { /* action not supported here */ }
+    });
+}
+
+// Rewindable streams report their buffer as the seekable range; live-only ones have no duration
+function updatePositionState() {
+    if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+    const shift = playback.getTimeshift();
+    try {
+        if (shift && shift.end > shift.start) {
+            const duration = shift.end - shift.start;
+            navigator.mediaSession.setPositionState({
+                duration: duration,
+                playbackRate: 1,
+                position: Math.max(0, Math.min(duration, shift.position - shift.start))
+            });
+        } else {
+            navigator.mediaSession.setPositionState({ duration: Infinity, playbackRate: 1, position: 0 });
+        }
+    } catch (err) {}
+}
+
+// Lock screens show the app icon until a logo or cover is known
+const APP_ARTWORK = [
+    { src: './assets/icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+    { src: './assets/icons/icon-512.png', sizes: '512x512', type: 'image/png' }
+];
+
+function updateMediaSession(title, artist, station) {
+    if ('mediaSession' in navigator) {
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: title || 'Radio Stream',
+            artist: artist || station,
+            album: currentTrackLiked ? `♥ ${station || 'Radio Player'}` : station || 'Radio Player',
+            artwork: currentArtwork || APP_ARTWORK
+        });
+
+        updatePositionState();
+    }
+}
+
+// Lock screen state mirrors the controller; retries keep showing "playing"
+const MEDIA_SESSION_STATES = {
+    connecting: 'playing',
+    playing: 'playing',
+    buffering: 'playing',
+    reconnecting: 'playing',
+    paused: 'paused',
+    error: 'none',
+    idle: 'none'
+};
+
+if ('mediaSession' in navigator) {
+    playback.on('statechange', ({ state }) => {
+        navigator.mediaSession.playbackState = MEDIA_SESSION_STATES[state];
+        if (state === 'idle') navigator.mediaSession.metadata = null;
+    });
+}
+
+// ============================================================================
+// Wake Lock API
+// ============================================================================
 
 let wakeLock = null;
 
 async function requestWakeLock() {
+    if (wakeLock && !wakeLock.released) return;
     try {
         if ('wakeLock' in navigator) {
             wakeLock = await navigator.wakeLock.request('screen');
@@ -643,17 +2355,692 @@ function releaseWakeLock() {
     if (wakeLock) { wakeLock.release(); wakeLock = null; }
 }
 
+// Hold the screen while audio plays or we're retrying; let go otherwise
+playback.on('statechange', ({ state }) => {
+    if (state === 'playing') requestWakeLock();
+    else if (state === 'idle' || state === 'error' || state === 'paused') releaseWakeLock();
+});
+
+// ============================================================================
+// Sleep Timer
+// ============================================================================
+
+const SLEEP_FADE_OPTIONS = [10, 30, 60, 120];   // seconds
+const SLEEP_DEFAULT_FADE = 30;
+
+const sleepModal = document.getElementById('sleepModal');
+const sleepBtn = document.getElementById('sleepBtn');
+const sleepStatus = document.getElementById('sleepStatus');
+const sleepEndOfTrack = document.getElementById('sleepEndOfTrack');
+const sleepCancel = document.getElementById('sleepCancel');
+
+// { endsAt } for a countdown, { endOfTrack: true } to stop after the current track;
+// `fading` once the fade-out has begun
+let sleepTimer = null;
+let sleepTick = null;
+
+function sleepFadeSeconds() {
+    return SLEEP_FADE_OPTIONS.includes(settings.sleepFade) ? settings.sleepFade : SLEEP_DEFAULT_FADE;
+}
+
+function formatRemaining(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+function sleepLabel() {
+    if (!sleepTimer) return '';
+    if (sleepTimer.fading) return 'Fading out…';
+    if (sleepTimer.endOfTrack) return 'After this track';
+    return formatRemaining(sleepTimer.endsAt - Date.now());
+}
+
+function updateSleepUI() {
+    const label = sleepLabel();
+    sleepBtn.textContent = label ? `Sleep · ${label}` : 'Sleep';
+    sleepBtn.setAttribute('aria-pressed', String(!!sleepTimer));
+    sleepStatus.textContent = label ? `Stopping: ${label}` : 'No timer set';
+    sleepCancel.disabled = !sleepTimer;
+    sleepEndOfTrack.disabled = !currentTrack;
+    sleepModal.querySelectorAll('[data-sleep-fade]').forEach(btn => {
+        btn.classList.toggle('selected', Number(btn.dataset.sleepFade) === sleepFadeSeconds());
+    });
+}
+
+function setSleepTimer(timer) {
+    clearSleepTimer();
+    sleepTimer = timer;
+    sleepTick = setInterval(checkSleepTimer, 1000);
+    updateSleepUI();
+}
+
+function checkSleepTimer() {
+    if (sleepTimer && !sleepTimer.fading && sleepTimer.endsAt &&
+        sleepTimer.endsAt - Date.now() <= sleepFadeSeconds() * 1000) {
+        startSleepFade();
+    }
+    updateSleepUI();
+}
+
+function startSleepFade() {
+    const timer = sleepTimer;
+    if (!timer || timer.fading) return;
+    timer.fading = true;
+    updateSleepUI();
+
+    playback.fadeTo(0, sleepFadeSeconds()).then(completed => {
+        if (completed && sleepTimer === timer) finishSleepTimer();
+    });
+}
+
+// Same path as tapping the active card; the idle state releases the
+// wake lock and clears the lock screen
+function finishSleepTimer() {
+    clearSleepTimer();
+    stopStream();
+    resetPlayerUI();
+}
+
+function clearSleepTimer() {
+    if (sleepTick) {
+        clearInterval(sleepTick);
+        sleepTick = null;
+    }
+    sleepTimer = null;
+    updateSleepUI();
+}
+
+function cancelSleepTimer() {
+    const wasFading = sleepTimer && sleepTimer.fading;
+    clearSleepTimer();
+    if (wasFading) playback.fadeTo(1, 1);
+}
+
+sleepBtn.addEventListener('click', () => {
+    updateSleepUI();
+    sleepModal.classList.add('open');
+});
+
+document.getElementById('sleepClose').addEventListener('click', () => sleepModal.classList.remove('open'));
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && sleepModal.classList.contains('open')) sleepModal.classList.remove('open');
+});
+
+sleepModal.querySelectorAll('[data-sleep-minutes]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        if (sleepTimer && sleepTimer.fading) playback.fadeTo(1, 1);
+        setSleepTimer({ endsAt: Date.now() + Number(btn.dataset.sleepMinutes) * 60000 });
+        sleepModal.classList.remove('open');
+    });
+});
+
+sleepEndOfTrack.addEventListener('click', () => {
+    if (sleepTimer && sleepTimer.fading) playback.fadeTo(1, 1);
+    setSleepTimer({ endOfTrack: true });
+    sleepModal.classList.remove('open');
+});
+
+sleepModal.querySelectorAll('[data-sleep-fade]').forEach(btn => {
+    btn.addEventListener('click', () => {
+        settings.sleepFade = Number(btn.dataset.sleepFade);
+        saveSettings();
+        updateSleepUI();
+    });
+});
+
+sleepCancel.addEventListener('click', cancelSleepTimer);
+
+// Stopping by hand also drops the timer
+playback.on('statechange', ({ state }) => {
+    if (state === 'idle' && sleepTimer) clearSleepTimer();
+});
+
+updateSleepUI();
+
+// ============================================================================
+// Alarm Clock
+// ============================================================================
+
+const ALARM_SNOOZE_MINUTES = 9;
+// Fall back to the tone if the stream hasn't started by then
+const ALARM_CONNECT_TIMEOUT = 30000;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const alarmModal = document.getElementById('alarmModal');
+const alarmBtn = document.getElementById('alarmBtn');
+const alarmList = document.getElementById('alarmList');
+const alarmForm = document.getElementById('alarmForm');
+const alarmSlot = document.getElementById('alarmSlot');
+const alarmRinging = document.getElementById('alarmRinging');
+const alarmRingingNote = document.getElementById('alarmRingingNote');
+
+// { alarm, fadePending, connectTimer, tone } while an alarm is going off
+let ringingAlarm = null;
+
+function describeDays(days) {
+    if (days.length === 0) return 'Once';
+    if (days.length === 7) return 'Every day';
+    if (days.join() === '1,2,3,4,5') return 'Weekdays';
+    if (days.join() === '0,6') return 'Weekends';
+    return days.map(d => WEEKDAY_NAMES[d]).join(' ');
+}
+
+function alarmStationName(alarm) {
+    const station = stations[alarm.slotIndex];
+    return station && station.url ? station.name : 'Empty slot (tone only)';
+}
+
+function updateAlarmButton() {
+    const next = window.alarmScheduler.next();
+    if (!next) {
+        alarmBtn.textContent = 'Alarm';
+    } else {
+        const at = new Date(next.at);
+        const day = at.toDateString() === new Date().toDateString() ? '' : `${WEEKDAY_NAMES[at.getDay()]} `;
+        alarmBtn.textContent = `Alarm · ${day}${next.snoozed ? formatClock(at) : next.alarm.time}`;
+    }
+    alarmBtn.setAttribute('aria-pressed', String(!!next));
+}
+
+function formatClock(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+function renderAlarms() {
+    alarmList.innerHTML = '';
+    if (alarms.length === 0) {
+        alarmList.innerHTML = '<div class="search-empty">No alarms yet.</div>';
+    }
+
+    alarms.forEach(alarm => {
+        const row = document.createElement('div');
+        row.className = 'alarm-row' + (alarm.enabled ? '' : ' disabled');
+        row.innerHTML = `
+            <div class="alarm-info">
+                <div class="alarm-time">${alarm.time}</div>
+                <div class="alarm-detail">${escapeHtml(describeDays(alarm.days))} · ${escapeHtml(alarmStationName(alarm))}</div>
+            </div>
+            <button class="sheet-btn compact" data-action="toggle">${alarm.enabled ? 'On' : 'Off'}</button>
+            <button class="sheet-btn compact" data-action="delete" aria-label="Delete alarm">✕</button>
+        `;
+        row.querySelector('[data-action="toggle"]').addEventListener('click', () => {
+            alarm.enabled = !alarm.enabled;
+            if (!alarm.enabled) window.alarmScheduler.cancelSnoozes(alarm.id);
+            saveAlarms();
+            renderAlarms();
+        });
+        row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            alarms = alarms.filter(a => a !== alarm);
+            window.alarmScheduler.cancelSnoozes(alarm.id);
+            saveAlarms();
+            renderAlarms();
+        });
+        alarmList.appendChild(row);
+    });
+
+    updateAlarmButton();
+}
+
+function openAlarmModal() {
+    alarmSlot.innerHTML = '';
+    stations.forEach((station, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = station.url ? station.name : `Slot ${i + 1} (empty)`;
+        alarmSlot.appendChild(option);
+    });
+    const activeCard = stationGrid.querySelector('.station-card.active');
+    if (activeCard) alarmSlot.value = activeCard.dataset.slotIndex;
+
+    renderAlarms();
+    alarmModal.classList.add('open');
+}
+
+function closeAlarmModal() {
+    alarmModal.classList.remove('open');
+}
+
+alarmBtn.addEventListener('click', openAlarmModal);
+document.getElementById('alarmClose').addEventListener('click', closeAlarmModal);
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && alarmModal.classList.contains('open')) closeAlarmModal();
+});
+
+alarmForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const days = Array.from(document.querySelectorAll('#alarmDays input:checked')).map(input => Number(input.value));
+    const alarm = window.stationStore.validateAlarm({
+        id: `alarm_${Date.now()}`,
+        time: document.getElementById('alarmTime').value,
+        days,
+        slotIndex: Number(alarmSlot.value),
+        startVolume: document.getElementById('alarmStartVolume').value / 100,
+        fadeIn: Number(document.getElementById('alarmFadeIn').value),
+        enabled: true
+    });
+    if (!alarm) return;
+
+    alarms.push(alarm);
+    alarms.sort((a, b) => a.time.localeCompare(b.time));
+    saveAlarms();
+    renderAlarms();
+});
+
+// Start a preset as if its card were tapped; an already-playing slot is left alone
+function playSlot(slotIndex) {
+    const card = stationGrid.querySelector(`.station-card[data-slot-index="${slotIndex}"]`);
+    if (!card || card.classList.contains('empty')) return false;
+    if (!card.classList.contains('active')) card.click();
+    return true;
+}
+
+function fireAlarm(alarm) {
+    if (ringingAlarm) return;
+
+    // One-off alarms switch themselves off once they've rung
+    if (alarm.days.length === 0 && alarm.enabled) {
+        alarm.enabled = false;
+        saveAlarms();
+    }
+
+    cancelSleepTimer();
+    // An alarm nobody can hear is no alarm
+    if (playback.isMuted()) {
+        settings.muted = false;
+        playback.setMuted(false);
+        updateVolumeControls();
+    }
+
+    ringingAlarm = { alarm, fadePending: true, connectTimer: null, tone: false };
+    document.getElementById('alarmRingingTime').textContent = `Alarm · ${alarm.time}`;
+    alarmRingingNote.textContent = alarmStationName(alarm);
+    alarmRinging.classList.add('open');
+
+    playback.fadeTo(alarm.startVolume, 0);
+    if (playback.getState() === 'paused') playback.resume();
+    if (!playSlot(alarm.slotIndex)) {
+        startAlarmTone();
+        return;
+    }
+    if (playback.isPlaying()) {
+        startAlarmFadeIn();
+    } else {
+        ringingAlarm.connectTimer = setTimeout(startAlarmTone, ALARM_CONNECT_TIMEOUT);
+    }
+    updateAlarmButton();
+}
+
+function startAlarmFadeIn() {
+    ringingAlarm.fadePending = false;
+    clearTimeout(ringingAlarm.connectTimer);
+    playback.fadeTo(1, ringingAlarm.alarm.fadeIn);
+}
+
+function startAlarmTone() {
+    if (!ringingAlarm || ringingAlarm.tone) return;
+    clearTimeout(ringingAlarm.connectTimer);
+    ringingAlarm.tone = true;
+    ringingAlarm.fadePending = false;
+    if (playback.getState() !== 'idle') {
+        stopStream();
+        resetPlayerUI();
+    }
+    playback.startTone();
+    alarmRingingNote.textContent = 'Station unavailable';
+}
+
+function stopAlarm() {
+    if (!ringingAlarm) return;
+    clearTimeout(ringingAlarm.connectTimer);
+    const wasTone = ringingAlarm.tone;
+    ringingAlarm = null;
+    alarmRinging.classList.remove('open');
+
+    playback.stopTone();
+    if (!wasTone) {
+        stopStream();
+        resetPlayerUI();
+    }
+    updateAlarmButton();
+}
+
+function snoozeAlarm() {
+    const alarm = ringingAlarm && ringingAlarm.alarm;
+    stopAlarm();
+    if (alarm) {
+        window.alarmScheduler.snooze(alarm, ALARM_SNOOZE_MINUTES);
+        updateAlarmButton();
+    }
+}
+
+document.getElementById('alarmStop').addEventListener('click', stopAlarm);
+document.getElementById('alarmSnooze').addEventListener('click', snoozeAlarm);
+
+playback.on('statechange', ({ state }) => {
+    if (!ringingAlarm || !ringingAlarm.fadePending) return;
+    if (state === 'playing') startAlarmFadeIn();
+    else if (state === 'error') startAlarmTone();
+});
+
+window.alarmScheduler.start(() => alarms, fireAlarm);
+updateAlarmButton();
+// Keep "next alarm" current as days roll over
+setInterval(updateAlarmButton, 60000);
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+const RECORD_STATUS_INTERVAL = 1000;
+const RECORD_CHECK_INTERVAL = 5000;
+
+const recordModal = document.getElementById('recordModal');
+const recordBtn = document.getElementById('recordBtn');
+const recordToggle = document.getElementById('recordToggle');
+const recordSplit = document.getElementById('recordSplit');
+const recordStatus = document.getElementById('recordStatus');
+const recordingList = document.getElementById('recordingList');
+const recordScheduleForm = document.getElementById('recordScheduleForm');
+const recordSlot = document.getElementById('recordSlot');
+const recordScheduleStatus = document.getElementById('recordScheduleStatus');
+const recordScheduleCancel = document.getElementById('recordScheduleCancel');
+
+// Finished files from this session, newest first; they only live in memory
+let recordings = [];
+let recordingStationId = null;
+let recordStatusTimer = null;
+// { slotIndex, startAt, endAt }, persisted so a reload keeps it
+let recordingSchedule = validRecordingSchedule(settings.recordingSchedule);
+// { startedPlayback } while the scheduled window is running
+let scheduledRecording = null;
+
+function validRecordingSchedule(schedule) {
+    if (!schedule || !Number.isInteger(schedule.slotIndex)) return null;
+    if (typeof schedule.startAt !== 'number' || typeof schedule.endAt !== 'number') return null;
+    if (schedule.endAt <= schedule.startAt || schedule.endAt <= Date.now()) return null;
+    return { slotIndex: schedule.slotIndex, startAt: schedule.startAt, endAt: schedule.endAt };
+}
+
+function splitPerTrack() {
+    return settings.recordSplit !== false;
+}
+
+function recordingInfo() {
+    const station = stations.find(s => s.id === currentStationId);
+    return {
+        station: station ? station.name : currentStationName,
+        artist: currentTrack ? currentTrack.artist : '',
+        title: currentTrack ? currentTrack.title : ''
+    };
+}
+
+function formatSize(bytes) {
+    return bytes < 1048576 ? `${Math.round(bytes / 1024)} KB` : `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+function startRecording() {
+    if (!window.streamRecorder.isSupported()) {
+        recordStatus.textContent = 'Recording isn’t supported in this browser.';
+        return false;
+    }
+    const stream = playback.getRecordingStream();
+    if (!stream) {
+        recordStatus.textContent = 'This station can’t be recorded.';
+        return false;
+    }
+    window.streamRecorder.start(stream, recordingInfo(), addRecording);
+    recordingStationId = currentStationId;
+    updateRecordUI();
+    return true;
+}
+
+function stopRecording() {
+    if (!window.streamRecorder.isRecording()) return;
+    window.streamRecorder.stop();
+    recordingStationId = null;
+    updateRecordUI();
+}
+
+// Called on track changes; without per-track files only a nameless file is renamed
+function splitRecording() {
+    const info = window.streamRecorder.getInfo();
+    if (splitPerTrack() || !info.title) window.streamRecorder.split(recordingInfo());
+    updateRecordUI();
+}
+
+function addRecording(file) {
+    recordings.unshift(file);
+    renderRecordings();
+}
+
+function renderRecordings() {
+    recordingList.innerHTML = '';
+    if (recordings.length === 0) {
+        recordingList.innerHTML = '<div class="search-empty">No recordings yet.</div>';
+        return;
+    }
+
+    recordings.forEach(file => {
+        const row = document.createElement('div');
+        row.className = 'recording-row';
+        row.innerHTML = `
+            <div class="recording-info">
+                <div class="recording-name">${escapeHtml(file.name)}</div>
+                <div class="alarm-detail">${formatRemaining(file.duration)} · ${formatSize(file.blob.size)}</div>
+            </div>
+            <a class="sheet-btn compact" href="${file.url}" download="${escapeHtml(file.name)}">Save</a>
+            <button class="sheet-btn compact" data-action="delete" aria-label="Delete recording">✕</button>
+        `;
+        row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            URL.revokeObjectURL(file.url);
+            recordings = recordings.filter(r => r !== file);
+            renderRecordings();
+        });
+        recordingList.appendChild(row);
+    });
+}
+
+function updateRecordUI() {
+    const recording = window.streamRecorder.isRecording();
+    recordBtn.textContent = recording ? `Rec · ${formatRemaining(window.streamRecorder.getElapsed())}` : 'Record';
+    recordBtn.setAttribute('aria-pressed', String(recording));
+    recordToggle.textContent = recording ? 'Stop recording' : 'Start recording';
+    recordToggle.disabled = !recording && !playback.isPlaying();
+    recordSplit.classList.toggle('selected', splitPerTrack());
+    recordSplit.setAttribute('aria-pressed', String(splitPerTrack()));
+
+    if (recording) {
+        const info = window.streamRecorder.getInfo();
+        const track = [info.artist, info.title].filter(Boolean).join(' – ') || info.station;
+        recordStatus.textContent = `${window.streamRecorder.isPaused() ? 'Paused' : 'Recording'} · ${track}`;
+    } else if (!playback.isPlaying()) {
+        recordStatus.textContent = 'Start a station to record it.';
+    }
+
+    // Tick the elapsed time only while there's something to count
+    if (recording && !recordStatusTimer) {
+        recordStatusTimer = setInterval(updateRecordUI, RECORD_STATUS_INTERVAL);
+    } else if (!recording && recordStatusTimer) {
+        clearInterval(recordStatusTimer);
+        recordStatusTimer = null;
+    }
+}
+
+function slotName(slotIndex) {
+    const station = stations[slotIndex];
+    return station && station.url ? station.name : `Slot ${slotIndex + 1}`;
+}
+
+function updateRecordScheduleUI() {
+    recordScheduleCancel.disabled = !recordingSchedule;
+    document.getElementById('recordScheduleSubmit').disabled = !!scheduledRecording;
+    if (!recordingSchedule) {
+        recordScheduleStatus.textContent = 'Nothing scheduled. Recordings only start while the app is open.';
+        return;
+    }
+
+    const start = new Date(recordingSchedule.startAt);
+    const end = formatClock(new Date(recordingSchedule.endAt));
+    const day = start.toDateString() === new Date().toDateString() ? 'today' : WEEKDAY_NAMES[start.getDay()];
+    recordScheduleStatus.textContent = scheduledRecording
+        ? `Recording ${slotName(recordingSchedule.slotIndex)} until ${end}`
+        : `${slotName(recordingSchedule.slotIndex)} will be recorded ${day} ${formatClock(start)}–${end}`;
+}
+
+function clearRecordingSchedule() {
+    recordingSchedule = null;
+    scheduledRecording = null;
+    delete settings.recordingSchedule;
+    saveSettings();
+    updateRecordScheduleUI();
+}
+
+function checkRecordingSchedule() {
+    if (!recordingSchedule) return;
+    const now = Date.now();
+    if (now >= recordingSchedule.endAt) finishScheduledRecording();
+    else if (now >= recordingSchedule.startAt && !scheduledRecording) beginScheduledRecording();
+}
+
+// Recording starts straight away if the slot is already playing, otherwise
+// once its stream does (see the statechange hook below)
+function beginScheduledRecording() {
+    const slotIndex = recordingSchedule.slotIndex;
+    const alreadyPlaying = playback.isPlaying() && stations[slotIndex] && stations[slotIndex].id === currentStationId;
+    if (!alreadyPlaying && !playSlot(slotIndex)) {
+        console.warn('Scheduled recording skipped: slot', slotIndex, 'is empty');
+        clearRecordingSchedule();
+        return;
+    }
+    scheduledRecording = { startedPlayback: !alreadyPlaying };
+    if (alreadyPlaying && !window.streamRecorder.isRecording()) startRecording();
+    updateRecordScheduleUI();
+}
+
+function finishScheduledRecording() {
+    const run = scheduledRecording;
+    clearRecordingSchedule();
+    if (!run) return;
+    stopRecording();
+    if (run.startedPlayback) {
+        stopStream();
+        resetPlayerUI();
+    }
+}
+
+function openRecordModal() {
+    recordSlot.innerHTML = '';
+    stations.forEach((station, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = station.url ? station.name : `Slot ${i + 1} (empty)`;
+        option.disabled = !station.url;
+        recordSlot.appendChild(option);
+    });
+    const activeCard = stationGrid.querySelector('.station-card.active');
+    if (activeCard) recordSlot.value = activeCard.dataset.slotIndex;
+
+    renderRecordings();
+    updateRecordUI();
+    updateRecordScheduleUI();
+    recordModal.classList.add('open');
+}
+
+function closeRecordModal() {
+    recordModal.classList.remove('open');
+}
+
+recordBtn.addEventListener('click', openRecordModal);
+document.getElementById('recordClose').addEventListener('click', closeRecordModal);
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && recordModal.classList.contains('open')) closeRecordModal();
+});
+
+recordToggle.addEventListener('click', () => {
+    if (window.streamRecorder.isRecording()) stopRecording();
+    else startRecording();
+});
+
+recordSplit.addEventListener('click', () => {
+    settings.recordSplit = !splitPerTrack();
+    updateRecordUI();
+    saveSettings();
+});
+
+recordScheduleForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const from = document.getElementById('recordStart').value;
+    const until = document.getElementById('recordEnd').value;
+    if (!from || !until || from === until || scheduledRecording) return;
+
+    // A start in the current minute means now rather than tomorrow
+    const startAt = window.alarmScheduler.nextOccurrence({ time: from, days: [] }, Date.now() - 60000);
+    // "Until" earlier than "from" runs past midnight
+    const endAt = window.alarmScheduler.nextOccurrence({ time: until, days: [] }, startAt + 1);
+    recordingSchedule = { slotIndex: Number(recordSlot.value), startAt, endAt };
+    settings.recordingSchedule = recordingSchedule;
+    saveSettings();
+    updateRecordScheduleUI();
+});
+
+recordScheduleCancel.addEventListener('click', () => {
+    if (scheduledRecording) finishScheduledRecording();
+    else clearRecordingSchedule();
+});
+
+playback.on('statechange', ({ state }) => {
+    const recording = window.streamRecorder.isRecording();
+    if (state === 'playing') {
+        if (recording) {
+            window.streamRecorder.resume();
+            // Each station gets its own file
+            if (currentStationId !== recordingStationId) {
+                recordingStationId = currentStationId;
+                window.streamRecorder.split({ station: recordingInfo().station }, true);
+            }
+        } else if (scheduledRecording) {
+            startRecording();
+        }
+    } else if (state === 'paused') {
+        if (recording) window.streamRecorder.pause();
+    } else if (state === 'idle' || state === 'error') {
+        stopRecording();
+        // Stopping the station by hand ends a scheduled recording early
+        if (scheduledRecording) clearRecordingSchedule();
+    }
+    updateRecordUI();
+});
+
+if (settings.recordingSchedule && !recordingSchedule) {
+    // Saved window already over
+    delete settings.recordingSchedule;
+    saveSettings();
+}
+// Cards are rendered at init, so the first check waits for the interval
+setInterval(checkRecordingSchedule, RECORD_CHECK_INTERVAL);
+updateRecordUI();
+
 // ============================================================================
 // Audio Energy Helper (For Canvas Animation)
 // ============================================================================
 
 window.getAudioEnergy = function() {
-    if (isIOS && (!analyserNode || !sourceNode) && audio && !audio.paused) {
+    const analyserNode = playback.getAnalyser();
+    if (isIOS && !analyserNode && playback.isPlaying()) {
         const time = Date.now() / 1000;
         return 0.20 + 0.05 * Math.sin(time * 0.5);
     }
-    if (!analyserNode || !frequencyData) return 0;
+    if (!analyserNode) return 0;
 
+    if (!frequencyData || frequencyData.length !== analyserNode.frequencyBinCount) {
+        frequencyData = new Uint8Array(analyserNode.frequencyBinCount);
+    }
     analyserNode.getByteFrequencyData(frequencyData);
 
     let bassSum = 0;
@@ -692,10 +3079,7 @@ if (bgCanvas) {
     bgCanvas.addEventListener('click', () => {
         paletteIndex = (paletteIndex + 1) % WAVE_PALETTE.length;
         const color = WAVE_PALETTE[paletteIndex];
-        const rgb = hexToRgbComponents(color);
-        document.documentElement.style.setProperty('--custom-color', color);
-        document.documentElement.style.setProperty('--custom-rgb', `${rgb.r},${rgb.g},${rgb.b}`);
-        if (window.waveGrid) window.waveGrid.setDynamicTheme(color);
+        setCustomThemeColor(color);
         // If idle (no active station), apply custom body class for glow
         const activeCard = stationGrid.querySelector('.station-card.active');
         if (!activeCard) document.body.className = 'theme-custom';
@@ -713,3 +3097,4 @@ if (bgCanvas) {
 // ============================================================================
 
 renderStations(stations);
+checkSharedPresets();
@@ -0,0 +1,164 @@
+/**
+ * Artwork
+ * Cover art for the playing track, looked up by artist and title from a
+ * registered artwork service and cached in localStorage. Results are
+ * MediaMetadata artwork lists ([{ src, sizes? }], smallest first).
+ */
+
+(function() {
+  'use strict';
+
+  const CACHE_KEY = 'minify_artwork';
+  const CACHE_LIMIT = 300;
+  const FOUND_TTL = 30 * 24 * 60 * 60 * 1000;
+  const MISSING_TTL = 24 * 60 * 60 * 1000;   // Services add covers over time
+  const REQUEST_TIMEOUT = 5000;
+  const SIZES = [96, 192, 256, 384, 512];
+
+  const services = {};
+  const order = [];
+  const pending = {};           // Lookups in flight, by cache key
+  let cache = null;
+
+  // ===== REGISTRY =====
+  // A service is { label, lookup(track) → Promise<artwork|null> }, where
+  // track is { artist, title }. Rejections are network trouble and aren't cached.
+  function register(name, service) {
+    services[name] = service;
+    if (order.indexOf(name) < 0) order.push(name);
+  }
+
+  // ===== HELPERS =====
+  async function getJson(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(function() { controller.abort(); }, REQUEST_TIMEOUT);
+    try {
+      const response = await fetch(url, { signal: controller.signal, headers: { 'Accept': 'application/json' } });
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      return await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Featured artists and remix notes rarely match a catalogue entry
+  function searchText(text) {
+    return String(text || '')
+      .replace(/\s*[([](feat|ft|with|remix|edit|live)[^)\]]*[)\]]/gi, '')
+      .replace(/\s+(feat|ft)\.?\s.*$/i, '')
+      .trim();
+  }
+
+  // ===== SERVICES =====
+  register('itunes', {
+    label: 'iTunes',
+    lookup: async function(track) {
+      const term = encodeURIComponent(searchText(track.artist) + ' ' + searchText(track.title));
+      const data = await getJson('https://itunes.apple.com/search?media=music&entity=song&limit=1&term=' + term);
+      const result = data.results && data.results[0];
+      if (!result || !result.artworkUrl100) return null;
+      // Artwork URLs end in /100x100bb.jpg and can be asked for at any size
+      return SIZES.map(function(size) {
+        return { src: result.artworkUrl100.replace(/\/\d+x\d+bb\./, '/' + size + 'x' + size + 'bb.'), sizes: size + 'x' + size, type: 'image/jpeg' };
+      });
+    }
+  });
+
+  // MusicBrainz for the release, Cover Art Archive for its front cover
+  register('musicbrainz', {
+    label: 'MusicBrainz',
+    lookup: async function(track) {
+      const quote = function(text) { return '"' + searchText(text).replace(/["\\]/g, '') + '"'; };
+      const query = 'recording:' + quote(track.title) + (track.artist ? ' AND artist:' + quote(track.artist) : '');
+      const data = await getJson('https://musicbrainz.org/ws/2/recording?limit=1&fmt=json&query=' + encodeURIComponent(query));
+      const recording = data.recordings && data.recordings[0];
+      const releases = recording && recording.releases ? recording.releases.slice(0, 3) : [];
+
+      for (let i = 0; i < releases.length; i++) {
+        let art;
+        try {
+          art = await getJson('https://coverartarchive.org/release/' + releases[i].id);
+        } catch (e) {
+          continue;       // 404: this release has no art
+        }
+        const front = (art.images || []).find(function(image) { return image.front; });
+        if (!front) continue;
+        const thumbs = front.thumbnails || {};
+        return [
+          thumbs['250'] && { src: thumbs['250'], sizes: '250x250' },
+          thumbs['500'] && { src: thumbs['500'], sizes: '500x500' },
+          thumbs['1200'] && { src: thumbs['1200'], sizes: '1200x1200' }
+        ].filter(Boolean).map(function(image) {
+          image.src = image.src.replace(/^http:/, 'https:');
+          return image;
+        });
+      }
+      return null;
+    }
+  });
+
+  // ===== CACHE =====
+  function loadCache() {
+    if (cache) return cache;
+    try {
+      cache = JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+    } catch (e) {
+      cache = {};
+    }
+    return cache;
+  }
+
+  // Oldest lookups go first once the cache is full
+  function saveCache() {
+    const keys = Object.keys(cache);
+    if (keys.length > CACHE_LIMIT) {
+      keys.sort(function(a, b) { return cache[a].at - cache[b].at; })
+        .slice(0, keys.length - CACHE_LIMIT)
+        .forEach(function(key) { delete cache[key]; });
+    }
+    try {
+      localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+    } catch (e) { /* storage unavailable */ }
+  }
+
+  function cacheKey(serviceName, track) {
+    return serviceName + '|' + String(track.artist || '').toLowerCase() + '|' + String(track.title || '').toLowerCase();
+  }
+
+  // ===== LOOKUP =====
+  // Cover art for `track` from `serviceName`, or null if there is none (or
+  // the service is unknown or can't be reached)
+  function lookup(track, serviceName) {
+    const service = services[serviceName];
+    if (!service || !track || !track.title) return Promise.resolve(null);
+
+    const key = cacheKey(serviceName, track);
+    const cached = loadCache()[key];
+    if (cached && Date.now() - cached.at < (cached.images ? FOUND_TTL : MISSING_TTL)) {
+      return Promise.resolve(cached.images);
+    }
+    if (pending[key]) return pending[key];
+
+    pending[key] = service.lookup(track).then(function(images) {
+      const found = images && images.length ? images : null;
+      loadCache()[key] = { images: found, at: Date.now() };
+      saveCache();
+      return found;
+    }).catch(function(err) {
+      console.log(service.label + ' artwork unavailable:', err.message);
+      return null;
+    }).finally(function() {
+      delete pending[key];
+    });
+    return pending[key];
+  }
+
+  // ===== PUBLIC API =====
+  window.artwork = {
+    register: register,
+    lookup: lookup,
+    getServices: function() {
+      return order.map(function(name) { return { name: name, label: services[name].label }; });
+    }
+  };
+})();
@@ -0,0 +1,580 @@
+/**
+ * HLS Player
+ * Plays HTTP Live Streaming (.m3u8) radio through Media Source Extensions:
+ * parses master and media playlists, picks an audio rendition and feeds its
+ * segments to the element. MPEG-TS segments are unpacked to their raw audio
+ * frames first, since browsers' MSE won't take TS directly.
+ */
+
+(function() {
+  'use strict';
+
+  const FETCH_TIMEOUT = 8000;
+  const LIVE_EDGE_SEGMENTS = 3;       // Start this far back from the live edge, per the HLS spec
+  const MAX_PLAYLIST_FAILURES = 3;
+  const BACK_BUFFER = 60;             // Seconds of played audio kept in the SourceBuffer
+  const DEFAULT_AAC_CODEC = 'mp4a.40.2';
+
+  const VIDEO_CODEC = /^(avc1|avc3|hvc1|hev1|vp09|av01)/i;
+  const AUDIO_CODEC = /^(mp4a|mp3|ac-3|ec-3|opus|flac)/i;
+
+  // Stream URLs found to be HLS by their content rather than their extension
+  const knownHls = {};
+
+  // ===== DETECTION =====
+  function hasHlsExtension(url) {
+    try {
+      return /\.m3u8$/i.test(new URL(url).pathname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function isHls(url) {
+    return knownHls[url] === true || hasHlsExtension(url);
+  }
+
+  function isHlsContent(text, contentType) {
+    return /vnd\.apple\.mpegurl/i.test(contentType || '') ||
+      /#EXT-X-(TARGETDURATION|STREAM-INF|MEDIA-SEQUENCE)/.test(text || '');
+  }
+
+  function markHls(url) {
+    knownHls[url] = true;
+  }
+
+  // Sniff a URL that failed to play natively: HLS served without a .m3u8 name
+  async function detect(url) {
+    if (isHls(url)) return true;
+    if (url in knownHls) return knownHls[url];
+
+    const controller = new AbortController();
+    const timer = setTimeout(function() { controller.abort(); }, FETCH_TIMEOUT);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      let head = '';
+      if (response.body) {
+        const chunk = await response.body.getReader().read();
+        head = new TextDecoder().decode((chunk.value || new Uint8Array(0)).subarray(0, 1024));
+      }
+      knownHls[url] = isHlsContent(head, response.headers.get('content-type'));
+    } catch (e) {
+      knownHls[url] = false;
+    } finally {
+      clearTimeout(timer);
+      controller.abort();
+    }
+    return knownHls[url];
+  }
+
+  function isSupported() {
+    return !!window.MediaSource || document.createElement('audio').canPlayType('application/vnd.apple.mpegurl') !== '';
+  }
+
+  // ===== PLAYLIST PARSING =====
+  function resolveUrl(uri, baseUrl) {
+    return new URL(uri, baseUrl).href;
+  }
+
+  function parseAttributes(text) {
+    const attrs = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      attrs[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attrs;
+  }
+
+  // Handles both master playlists (variants, audio renditions) and media
+  // playlists (segments); callers check which one they got
+  function parsePlaylist(text, baseUrl) {
+    const lines = text.split(/\r?\n/)
+      .map(function(line) { return line.trim(); })
+      .filter(Boolean);
+    if (lines[0] !== '#EXTM3U') throw new Error('Not an HLS playlist');
+
+    const playlist = {
+      variants: [],
+      renditions: [],
+      segments: [],
+      targetDuration: 6,
+      mediaSequence: 0,
+      endList: false,
+      map: null,
+      encrypted: false
+    };
+    let pending = {};
+
+    lines.forEach(function(line) {
+      if (line.charAt(0) === '#') {
+        const colon = line.indexOf(':');
+        const tag = colon >= 0 ? line.substring(0, colon) : line;
+        const value = colon >= 0 ? line.substring(colon + 1) : '';
+        let attrs;
+
+        switch (tag) {
+          case '#EXT-X-STREAM-INF':
+            pending.variant = parseAttributes(value);
+            break;
+          case '#EXT-X-MEDIA':
+            attrs = parseAttributes(value);
+            if (attrs.TYPE === 'AUDIO') {
+              playlist.renditions.push({
+                groupId: attrs['GROUP-ID'] || '',
+                name: attrs.NAME || '',
+                isDefault: attrs.DEFAULT === 'YES',
+                uri: attrs.URI ? resolveUrl(attrs.URI, baseUrl) : null
+              });
+            }
+            break;
+          case '#EXTINF':
+            pending.duration = parseFloat(value);
+            break;
+          case '#EXT-X-TARGETDURATION':
+            playlist.targetDuration = parseFloat(value) || playlist.targetDuration;
+            break;
+          case '#EXT-X-MEDIA-SEQUENCE':
+            playlist.mediaSequence = parseInt(value, 10) || 0;
+            break;
+          case '#EXT-X-ENDLIST':
+            playlist.endList = true;
+            break;
+          case '#EXT-X-MAP':
+            attrs = parseAttributes(value);
+            if (attrs.URI) playlist.map = resolveUrl(attrs.URI, baseUrl);
+            break;
+          case '#EXT-X-KEY':
+            attrs = parseAttributes(value);
+            if (attrs.METHOD && attrs.METHOD !== 'NONE') playlist.encrypted = true;
+            break;
+        }
+        return;
+      }
+
+      const uri = resolveUrl(line, baseUrl);
+      if (pending.variant) {
+        playlist.variants.push({
+          uri: uri,
+          bandwidth: parseInt(pending.variant.BANDWIDTH, 10) || 0,
+          codecs: pending.variant.CODECS || '',
+          audioGroup: pending.variant.AUDIO || null
+        });
+      } else {
+        playlist.segments.push({
+          uri: uri,
+          duration: pending.duration || playlist.targetDuration,
+          sequence: playlist.mediaSequence + playlist.segments.length
+        });
+      }
+      pending = {};
+    });
+
+    return playlist;
+  }
+
+  function audioCodecOf(codecs) {
+    return (codecs || '').split(',')
+      .map(function(c) { return c.trim(); })
+      .filter(function(c) { return AUDIO_CODEC.test(c); })[0] || null;
+  }
+
+  function hasVideo(variant) {
+    return variant.codecs.split(',').some(function(c) { return VIDEO_CODEC.test(c.trim()); });
+  }
+
+  // Prefer a separate audio rendition; otherwise the best audio-only variant,
+  // or failing that the lightest variant (its video is thrown away)
+  function pickAudioPlaylist(master) {
+    const audioOnly = master.variants.filter(function(v) { return !hasVideo(v); });
+    const variant = audioOnly.length
+      ? audioOnly.slice().sort(function(a, b) { return b.bandwidth - a.bandwidth; })[0]
+      : master.variants.slice().sort(function(a, b) { return a.bandwidth - b.bandwidth; })[0];
+
+    const group = master.renditions.filter(function(r) {
+      return r.uri && (!variant || !variant.audioGroup || r.groupId === variant.audioGroup);
+    });
+    const rendition = group.filter(function(r) { return r.isDefault; })[0] || group[0];
+
+    if (rendition) return { uri: rendition.uri, codec: variant ? audioCodecOf(variant.codecs) : null };
+    if (variant) return { uri: variant.uri, codec: audioCodecOf(variant.codecs) };
+    throw new Error('Playlist has no audio');
+  }
+
+  // ===== SEGMENT FORMATS =====
+  function skipId3(bytes) {
+    let offset = 0;
+    // Packed audio segments lead with an ID3 timestamp tag
+    while (bytes.length >= offset + 10 && bytes[offset] === 0x49 && bytes[offset + 1] === 0x44 && bytes[offset + 2] === 0x33) {
+      const size = (bytes[offset + 6] << 21) | (bytes[offset + 7] << 14) | (bytes[offset + 8] << 7) | bytes[offset + 9];
+      offset += 10 + size;
+    }
+    return offset;
+  }
+
+  function sniffSegment(bytes) {
+    if (bytes[0] === 0x47 && (bytes.length <= 188 || bytes[188] === 0x47)) return 'ts';
+    const offset = skipId3(bytes);
+    if (bytes[offset] === 0xFF && (bytes[offset + 1] & 0xF6) === 0xF0) return 'aac';
+    if (bytes[offset] === 0xFF && (bytes[offset + 1] & 0xE0) === 0xE0) return 'mp3';
+    return 'mp4';
+  }
+
+  function concat(chunks) {
+    const total = chunks.reduce(function(sum, c) { return sum + c.length; }, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(function(c) {
+      out.set(c, offset);
+      offset += c.length;
+    });
+    return out;
+  }
+
+  // Pull the first audio elementary stream (ADTS AAC or MPEG audio) out of
+  // an MPEG-TS segment. Only what radio streams need: one program, no scrambling.
+  function demuxTs(bytes) {
+    let pmtPid = -1;
+    let audioPid = -1;
+    let streamType = 0;
+    const chunks = [];
+
+    for (let i = 0; i + 188 <= bytes.length; i += 188) {
+      if (bytes[i] !== 0x47) continue;
+      const unitStart = (bytes[i + 1] & 0x40) !== 0;
+      const pid = ((bytes[i + 1] & 0x1F) << 8) | bytes[i + 2];
+      const adaptation = (bytes[i + 3] & 0x30) >> 4;
+      const end = i + 188;
+      let offset = i + 4;
+
+      if (adaptation === 2) continue;                 // No payload
+      if (adaptation === 3) offset += bytes[offset] + 1;
+      if (offset >= end) continue;
+
+      if (pid === 0 && unitStart) {
+        offset += bytes[offset] + 1;                  // Pointer field
+        const sectionEnd = offset + 3 + (((bytes[offset + 1] & 0x0F) << 8) | bytes[offset + 2]) - 4;
+        for (let p = offset + 8; p + 4 <= sectionEnd; p += 4) {
+          const program = (bytes[p] << 8) | bytes[p + 1];
+          if (program !== 0) {
+            pmtPid = ((bytes[p + 2] & 0x1F) << 8) | bytes[p + 3];
+            break;
+          }
+        }
+      } else if (pid === pmtPid && unitStart && audioPid < 0) {
+        offset += bytes[offset] + 1;
+        const sectionEnd = offset + 3 + (((bytes[offset + 1] & 0x0F) << 8) | bytes[offset + 2]) - 4;
+        let p = offset + 12 + (((bytes[offset + 10] & 0x0F) << 8) | bytes[offset + 11]);
+        while (p + 5 <= sectionEnd) {
+          const type = bytes[p];
+          if (type === 0x0F || type === 0x03 || type === 0x04) {
+            audioPid = ((bytes[p + 1] & 0x1F) << 8) | bytes[p + 2];
+            streamType = type;
+            break;
+          }
+          p += 5 + (((bytes[p + 3] & 0x0F) << 8) | bytes[p + 4]);
+        }
+      } else if (pid === audioPid) {
+        if (unitStart) offset += 9 + bytes[offset + 8];   // PES header
+        if (offset < end) chunks.push(bytes.subarray(offset, end));
+      }
+    }
+
+    if (audioPid < 0) throw new Error('No audio stream in segment');
+    return { format: streamType === 0x0F ? 'aac' : 'mp3', data: concat(chunks) };
+  }
+
+  // ===== FETCHING =====
+  // `signal` cancels the whole session; the timeout covers one request, body
+  // included. `read(response)` takes the body out.
+  async function fetchBody(url, signal, read) {
+    const controller = new AbortController();
+    const abort = function() { controller.abort(); };
+    const timer = setTimeout(abort, FETCH_TIMEOUT);
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      return await read(response);
+    } finally {
+      clearTimeout(timer);
+      // A session polls for hours; listeners left on its signal would pile up
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+
+  function loadPlaylist(url, signal) {
+    return fetchBody(url, signal, async function(response) {
+      return parsePlaylist(await response.text(), response.url || url);
+    });
+  }
+
+  function loadBytes(url, signal) {
+    return fetchBody(url, signal, async function(response) {
+      return new Uint8Array(await response.arrayBuffer());
+    });
+  }
+
+  // Follow a master playlist down to the media playlist we'll play
+  async function loadMediaPlaylist(url, signal) {
+    let playlist = await loadPlaylist(url, signal);
+    let mediaUrl = url;
+    let codec = null;
+
+    if (playlist.variants.length) {
+      const choice = pickAudioPlaylist(playlist);
+      mediaUrl = choice.uri;
+      codec = choice.codec;
+      playlist = await loadPlaylist(mediaUrl, signal);
+    }
+    if (playlist.encrypted) throw new Error('Encrypted HLS is not supported');
+    if (playlist.segments.length === 0) throw new Error('Playlist has no segments');
+
+    return { playlist: playlist, url: mediaUrl, codec: codec };
+  }
+
+  // ===== SEGMENT SINKS =====
+  // With time-shift on, raw audio (TS, packed AAC/MP3) goes through the
+  // time-shift buffer, which understands its frames. fMP4, and raw audio with
+  // time-shift off, is appended to a SourceBuffer directly.
+  function createRawSink(el, options, onError) {
+    const buffer = window.timeshiftBuffer.create(el, options, onError);
+    return {
+      buffer: buffer,
+      push: function(bytes) {
+        const data = sniffSegment(bytes) === 'ts' ? demuxTs(bytes).data : bytes.subarray(skipId3(bytes));
+        if (!buffer.push(data)) throw new Error('Unsupported HLS audio');
+      },
+      destroy: buffer.destroy
+    };
+  }
+
+  function createMseSink(el, codec, initSegment) {
+    const mediaSource = new MediaSource();
+    const objectUrl = URL.createObjectURL(mediaSource);
+    const opened = new Promise(function(resolve) {
+      mediaSource.addEventListener('sourceopen', resolve, { once: true });
+    });
+    let sourceBuffer = null;
+    el.src = objectUrl;
+
+    function update(action) {
+      return new Promise(function(resolve, reject) {
+        function done() {
+          sourceBuffer.removeEventListener('updateend', done);
+          sourceBuffer.removeEventListener('error', failedUpdate);
+          resolve();
+        }
+        function failedUpdate() {
+          sourceBuffer.removeEventListener('updateend', done);
+          sourceBuffer.removeEventListener('error', failedUpdate);
+          reject(new Error('Segment could not be decoded'));
+        }
+        sourceBuffer.addEventListener('updateend', done);
+        sourceBuffer.addEventListener('error', failedUpdate);
+        action();
+      });
+    }
+
+    return {
+      buffer: null,
+      push: async function(bytes) {
+        await opened;
+        let format = sniffSegment(initSegment || bytes);
+        if (format === 'ts') {
+          const demuxed = demuxTs(bytes);
+          format = demuxed.format;
+          bytes = demuxed.data;
+        } else if (format !== 'mp4') {
+          bytes = bytes.subarray(skipId3(bytes));
+        }
+
+        if (!sourceBuffer) {
+          const mime = format === 'aac' ? 'audio/aac'
+            : format === 'mp3' ? 'audio/mpeg'
+            : 'audio/mp4; codecs="' + (codec || DEFAULT_AAC_CODEC) + '"';
+          if (!MediaSource.isTypeSupported(mime)) throw new Error('Unsupported HLS audio: ' + mime);
+          sourceBuffer = mediaSource.addSourceBuffer(mime);
+          // Lay segments end to end; raw AAC/MP3 carry no timestamps of their own
+          sourceBuffer.mode = 'sequence';
+          if (initSegment) await update(function() { sourceBuffer.appendBuffer(initSegment); });
+        }
+        await update(function() { sourceBuffer.appendBuffer(bytes); });
+
+        // Keep a live stream from growing the buffer forever
+        const buffered = sourceBuffer.buffered;
+        const cutoff = el.currentTime - BACK_BUFFER;
+        if (buffered.length && cutoff > buffered.start(0) + 1) {
+          await update(function() { sourceBuffer.remove(buffered.start(0), cutoff); });
+        }
+      },
+      end: function() {
+        if (mediaSource.readyState === 'open') mediaSource.endOfStream();
+      },
+      destroy: function() {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }
+
+  // ===== PLAYBACK SESSION =====
+  // Feeds one <audio> element. `onError` fires at most once, for failures the
+  // element can't report itself (playlist gone, unsupported codec).
+  // `options.window` is the time-shift window in seconds (0 for none); the
+  // session's `buffer` is the time-shift buffer when the segments allow one.
+  function attach(el, url, options, onError) {
+    const session = { buffer: null, destroy: destroy };
+    let destroyed = false;
+    let failed = false;
+
+    function fail(err) {
+      if (failed || destroyed) return;
+      failed = true;
+      onError(err);
+    }
+
+    if (!window.MediaSource) {
+      if (el.canPlayType('application/vnd.apple.mpegurl')) {
+        el.src = url;   // Safari on iOS plays HLS natively
+      } else {
+        setTimeout(function() { fail(new Error('HLS is not supported in this browser')); }, 0);
+      }
+      return session;
+    }
+
+    const controller = new AbortController();
+
+    let mediaUrl = url;
+    let codec = null;
+    let initSegment = null;
+    let sink = null;
+    let queue = [];
+    let lastSequence = -1;
+    let pumping = false;
+    let ended = false;
+    let refreshTimer = null;
+    let playlistFailures = 0;
+
+    start();
+
+    async function start() {
+      try {
+        const media = await loadMediaPlaylist(url, controller.signal);
+        mediaUrl = media.url;
+        codec = media.codec;
+        if (media.playlist.map) initSegment = await loadBytes(media.playlist.map, controller.signal);
+
+        const segments = media.playlist.segments;
+        const from = media.playlist.endList ? 0 : Math.max(0, segments.length - LIVE_EDGE_SEGMENTS);
+        enqueue(segments.slice(from));
+        scheduleRefresh(media.playlist, true);
+      } catch (err) {
+        fail(err);
+      }
+    }
+
+    // Returns how many segments were new
+    function enqueue(segments) {
+      const fresh = segments.filter(function(s) { return s.sequence > lastSequence; });
+      if (fresh.length) {
+        lastSequence = fresh[fresh.length - 1].sequence;
+        queue = queue.concat(fresh);
+        pump();
+      }
+      return fresh.length;
+    }
+
+    function scheduleRefresh(playlist, changed) {
+      if (destroyed) return;
+      if (playlist.endList) {
+        ended = true;
+        pump();
+        return;
+      }
+      // An unchanged playlist is re-polled after half a target duration
+      const delay = playlist.targetDuration * (changed ? 1 : 0.5) * 1000;
+      refreshTimer = setTimeout(refresh, delay);
+    }
+
+    async function refresh() {
+      try {
+        const playlist = await loadPlaylist(mediaUrl, controller.signal);
+        playlistFailures = 0;
+        scheduleRefresh(playlist, enqueue(playlist.segments) > 0);
+      } catch (err) {
+        if (destroyed) return;
+        playlistFailures++;
+        if (playlistFailures >= MAX_PLAYLIST_FAILURES) {
+          fail(err);
+        } else {
+          refreshTimer = setTimeout(refresh, 2000);
+        }
+      }
+    }
+
+    // Fetch queued segments one at a time and hand them to the sink
+    async function pump() {
+      if (pumping || destroyed) return;
+      pumping = true;
+      try {
+        while (queue.length && !destroyed) {
+          const segment = queue.shift();
+          let bytes;
+          try {
+            bytes = await loadBytes(segment.uri, controller.signal);
+          } catch (err) {
+            if (destroyed) return;
+            console.warn('HLS segment failed, skipping:', segment.uri, err.message);
+            continue;
+          }
+          if (destroyed) return;
+          if (!sink) {
+            sink = initSegment || sniffSegment(bytes) === 'mp4' || !(options.window > 0)
+              ? createMseSink(el, codec, initSegment)
+              : createRawSink(el, options, fail);
+            session.buffer = sink.buffer;
+            // The controller's play() ran before the element had a source
+            el.play().catch(function() { /* the controller reports playback errors */ });
+          }
+          await sink.push(bytes);
+        }
+        if (ended && sink && sink.end && !destroyed) sink.end();
+      } catch (err) {
+        fail(err);
+      } finally {
+        pumping = false;
+      }
+    }
+
+    function destroy() {
+      destroyed = true;
+      clearTimeout(refreshTimer);
+      controller.abort();
+      queue = [];
+      if (sink) sink.destroy();
+    }
+
+    return session;
+  }
+
+  // Check an HLS URL can be played here, for the add-by-URL probe
+  async function inspect(url) {
+    if (!isSupported()) return { ok: false, error: 'HLS is not supported in this browser' };
+    try {
+      await loadMediaPlaylist(url);
+      return { ok: true, error: '' };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  }
+
+  // ===== PUBLIC API =====
+  window.hlsPlayer = {
+    isHls: isHls,
+    isHlsContent: isHlsContent,
+    markHls: markHls,
+    detect: detect,
+    attach: attach,
+    inspect: inspect
+  };
+})();
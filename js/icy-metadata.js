@@ -0,0 +1,156 @@
+/**
+ * ICY Metadata
+ * Reads now-playing titles from Icecast/Shoutcast streams. The stream is
+ * requested with `Icy-MetaData: 1`, read up to its first metadata block and
+ * dropped again, so each poll costs one metadata interval of audio instead
+ * of a second copy of the stream.
+ */
+
+(function() {
+  'use strict';
+
+  const POLL_INTERVAL = 20000;
+  const READ_TIMEOUT = 10000;
+  const MAX_METAINT = 256 * 1024;  // Servers normally use 8–64 KB
+  const MAX_BLOCKS = 3;            // Empty blocks to skip before giving up on a poll
+
+  // Streams that refused metadata (no CORS, no icy-metaint) this session
+  const unavailable = new Set();
+
+  // ===== PARSING =====
+  // Metadata is usually UTF-8, but older Shoutcast servers send Latin-1
+  function decode(bytes) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+      return new TextDecoder('windows-1252').decode(bytes);
+    }
+  }
+
+  // StreamTitle from a metadata block ("StreamTitle='…';StreamUrl='…';"), or null
+  function parseMetadata(text) {
+    const match = /StreamTitle='([\s\S]*?)';/.exec(text.replace(/\0+$/, ''));
+    return match ? match[1].trim() : null;
+  }
+
+  // "Artist - Title" → { artist, title }; a title without a separator stands alone
+  function splitStreamTitle(streamTitle) {
+    const index = streamTitle.indexOf(' - ');
+    if (index < 0) return { artist: '', title: streamTitle };
+    return {
+      artist: streamTitle.slice(0, index).trim(),
+      title: streamTitle.slice(index + 3).trim()
+    };
+  }
+
+  // ===== READING =====
+  // Resolves with the current StreamTitle ('' when the server sends none),
+  // or rejects when the stream can't carry metadata to us
+  async function readStreamTitle(url, signal) {
+    const response = await fetch(url, {
+      headers: { 'Icy-MetaData': '1' },
+      cache: 'no-store',
+      signal: signal
+    });
+    const metaint = parseInt(response.headers.get('icy-metaint'), 10);
+    if (!response.ok || !response.body) throw new Error('HTTP ' + response.status);
+    if (!metaint || metaint > MAX_METAINT) throw new Error('No icy-metaint header');
+
+    const reader = response.body.getReader();
+    let pending = new Uint8Array(0);
+    let audioLeft = metaint;
+    let blocks = 0;
+
+    // Pulls until at least `count` bytes are pending
+    async function fill(count) {
+      while (pending.length < count) {
+        const result = await reader.read();
+        if (result.done) throw new Error('Stream ended');
+        const next = new Uint8Array(pending.length + result.value.length);
+        next.set(pending);
+        next.set(result.value, pending.length);
+        pending = next;
+      }
+    }
+
+    try {
+      while (blocks < MAX_BLOCKS) {
+        await fill(audioLeft + 1);
+        const length = pending[audioLeft] * 16;
+        await fill(audioLeft + 1 + length);
+        const block = pending.subarray(audioLeft + 1, audioLeft + 1 + length);
+        pending = pending.slice(audioLeft + 1 + length);
+        audioLeft = metaint;
+        blocks++;
+
+        if (length > 0) {
+          const streamTitle = parseMetadata(decode(block));
+          if (streamTitle !== null) return streamTitle;
+        }
+      }
+      return '';
+    } finally {
+      reader.cancel().catch(function() { /* already closed */ });
+    }
+  }
+
+  // ===== WATCHING =====
+  // Polls `url` and calls `onTrack({ artist, title })` when the title changes
+  // (or with null when the server stops naming tracks). `onUnavailable` is
+  // called once if the stream never yields metadata; polling then stops.
+  function watch(url, onTrack, onUnavailable) {
+    let stopped = false;
+    let succeeded = false;
+    let timer = null;
+    let controller = null;
+    let last = null;
+
+    async function poll() {
+      controller = new AbortController();
+      const timeout = setTimeout(function() { controller.abort(); }, READ_TIMEOUT);
+      try {
+        const streamTitle = await readStreamTitle(url, controller.signal);
+        if (stopped) return;
+        succeeded = true;
+        if (streamTitle !== last) {
+          last = streamTitle;
+          onTrack(streamTitle ? splitStreamTitle(streamTitle) : null);
+        }
+      } catch (err) {
+        if (stopped) return;
+        // Once metadata has worked, a failed poll is just a network blip
+        if (!succeeded) {
+          console.log('ICY metadata unavailable:', err.message);
+          unavailable.add(url);
+          if (onUnavailable) onUnavailable(err);
+          return;
+        }
+      } finally {
+        clearTimeout(timeout);
+      }
+      if (!stopped) timer = setTimeout(poll, POLL_INTERVAL);
+    }
+
+    if (unavailable.has(url)) {
+      if (onUnavailable) setTimeout(function() { if (!stopped) onUnavailable(new Error('No ICY metadata')); }, 0);
+    } else {
+      poll();
+    }
+
+    return {
+      url: url,
+      stop: function() {
+        stopped = true;
+        clearTimeout(timer);
+        if (controller) controller.abort();
+      }
+    };
+  }
+
+  // ===== PUBLIC API =====
+  window.icyMetadata = {
+    watch: watch,
+    parseMetadata: parseMetadata,
+    splitStreamTitle: splitStreamTitle
+  };
+})();
@@ -0,0 +1,298 @@
+/**
+ * Now Playing
+ * Registry of now-playing sources. A station names its source in
+ * `station.metadata` ({ provider, ...options }); stations without one use a
+ * provider recognised from the stream URL, falling back to in-stream ICY
+ * titles. Polled providers back off while their source is failing.
+ *
+ * Pages without CORS headers go through the companion proxy (proxy/server.js)
+ * when one is configured, and are fetched directly otherwise.
+ */
+
+(function() {
+  'use strict';
+
+  const REQUEST_TIMEOUT = 5000;
+  const MAX_BACKOFF = 5 * 60000;
+
+  const providers = {};
+  const order = [];              // Registration order is detection order
+  let proxyBase = '';            // Companion proxy, e.g. https://radio-proxy.example.com
+
+  // ===== REGISTRY =====
+  // A provider is { label, interval, fetch(options, streamUrl) → Promise<track|null> }
+  // for polled sources, or { label, watch(options, streamUrl, onTrack) → { stop } }
+  // for sources that push. Optional:
+  //   match(url)  → options when a stream URL (a URL object) clearly belongs to it
+  //   probe       → true if detect() may try fetch() against an unknown server
+  // A track is { title, artist, artwork? }.
+  function register(name, provider) {
+    providers[name] = provider;
+    if (order.indexOf(name) < 0) order.push(name);
+  }
+
+  // ===== PROXY =====
+  function setProxy(url) {
+    proxyBase = (url || '').trim().replace(/\/+$/, '');
+  }
+
+  function proxyEndpoint(route, url) {
+    return proxyBase + '/' + route + '?url=' + encodeURIComponent(url);
+  }
+
+  // ===== HELPERS =====
+  // `options.proxy` routes the request through the companion proxy, if set
+  async function request(url, options, headers) {
+    const controller = new AbortController();
+    const timer = setTimeout(function() { controller.abort(); }, REQUEST_TIMEOUT);
+    try {
+      const target = options && options.proxy && proxyBase ? proxyEndpoint('fetch', url) : url;
+      const response = await fetch(target, { signal: controller.signal, cache: 'no-store', headers: headers || {} });
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      return response;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // "Artist - Title" → { artist, title }
+  function splitTitle(text) {
+    return window.icyMetadata.splitStreamTitle(String(text).trim());
+  }
+
+  function sameTrack(a, b) {
+    if (!a || !b) return a === b;
+    return a.title === b.title && a.artist === b.artist;
+  }
+
+  // ===== PROVIDERS =====
+  register('classicfm', {
+    label: 'Classic FM',
+    interval: 15000,
+    fetch: async function() {
+      const response = await request('https://www.classicfm.com/radio/playlist/', { proxy: true });
+      const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const section = doc.querySelector('.now-playing');
+      const heading = section && section.querySelector('h3');
+      if (!heading) return null;
+      const artistLink = section.querySelector('p a');
+      return { title: heading.textContent.trim(), artist: artistLink ? artistLink.textContent.trim() : 'Classic FM' };
+    }
+  });
+
+  // Stream URLs look like https://streaming.radio.co/s1234abcd/listen
+  register('radioco', {
+    label: 'Radio.co',
+    interval: 15000,
+    match: function(url) {
+      if (!/(^|\.)radio\.co$/.test(url.hostname)) return null;
+      const id = /^\/(s[0-9a-f]{6,})(\/|$)/i.exec(url.pathname);
+      return id ? { stationId: id[1] } : null;
+    },
+    fetch: async function(options) {
+      const response = await request('https://public.radio.co/stations/' + encodeURIComponent(options.stationId) + '/status');
+      const track = (await response.json()).current_track;
+      if (!track || !track.title) return null;
+      const result = splitTitle(track.title);
+      if (track.artwork_url_large || track.artwork_url) result.artwork = track.artwork_url_large || track.artwork_url;
+      return result;
+    }
+  });
+
+  // Stream URLs look like https://<station>.radiocult.fm/stream; some
+  // stations need their publishable API key in `options.apiKey`
+  register('radiocult', {
+    label: 'Radiocult',
+    interval: 30000,
+    match: function(url) {
+      const sub = /^([a-z0-9-]+)\.radiocult\.fm$/i.exec(url.hostname);
+      return sub && sub[1] !== 'www' && sub[1] !== 'api' ? { stationId: sub[1] } : null;
+    },
+    fetch: async function(options) {
+      const response = await request(
+        'https://api.radiocult.fm/api/station/' + encodeURIComponent(options.stationId) + '/schedule/live',
+        options,
+        options.apiKey ? { 'x-api-key': options.apiKey } : null
+      );
+      const result = (await response.json()).result || {};
+      if (result.metadata && result.metadata.title) {
+        return { title: String(result.metadata.title), artist: String(result.metadata.artist || '') };
+      }
+      // Between tracks only the show is known
+      if (result.content && result.content.title) return { title: String(result.content.title), artist: '' };
+      return null;
+    }
+  });
+
+  // Icecast 2.4+ status page, which sends CORS headers by default
+  register('icecast', {
+    label: 'Icecast',
+    interval: 15000,
+    probe: true,
+    fetch: async function(options, streamUrl) {
+      const stream = new URL(streamUrl);
+      const response = await request(options.statusUrl || stream.origin + '/status-json.xsl', options);
+      const stats = (await response.json()).icestats || {};
+      const sources = Array.isArray(stats.source) ? stats.source : stats.source ? [stats.source] : [];
+      // listenurl carries the server's own hostname, so only the mount is compared
+      const mount = options.mount || stream.pathname;
+      const source = sources.find(function(s) {
+        try { return new URL(s.listenurl, stream).pathname === mount; } catch (e) { return false; }
+      }) || (sources.length === 1 ? sources[0] : null);
+      if (!source) throw new Error('Mount ' + mount + ' not listed');
+
+      if (source.artist && source.title) return { title: String(source.title), artist: String(source.artist) };
+      return source.title ? splitTitle(source.title) : null;
+    }
+  });
+
+  // Shoutcast v2 JSON stats; Shoutcast rarely sends CORS headers, so these
+  // go through the proxy unless `options.proxy` is false
+  register('shoutcast-stats', {
+    label: 'Shoutcast',
+    interval: 20000,
+    probe: true,
+    fetch: async function(options, streamUrl) {
+      const origin = new URL(streamUrl).origin;
+      const response = await request(origin + '/stats?sid=' + (options.sid || 1) + '&json=1', { proxy: options.proxy !== false });
+      const data = await response.json();
+      if (typeof data.songtitle !== 'string') throw new Error('Not a Shoutcast stats page');
+      return data.songtitle ? splitTitle(data.songtitle) : null;
+    }
+  });
+
+  // Shoutcast v1 /7.html: "listeners,status,peak,max,unique,bitrate,song title"
+  register('shoutcast-7', {
+    label: 'Shoutcast',
+    interval: 20000,
+    probe: true,
+    fetch: async function(options, streamUrl) {
+      const origin = new URL(streamUrl).origin;
+      const response = await request(origin + '/7.html', { proxy: options.proxy !== false });
+      const text = (await response.text()).replace(/<[^>]*>/g, '').trim();
+      const fields = /^(\d+,){6}([\s\S]*)$/.exec(text);
+      if (!fields) throw new Error('Not a Shoutcast 7.html page');
+      return fields[2] ? splitTitle(fields[2]) : null;
+    }
+  });
+
+  // Titles carried in the stream itself. The proxy can read them from any
+  // server; without it the browser tries (see icy-metadata.js), which needs
+  // the server to expose icy-metaint over CORS.
+  const icyViaProxy = {
+    label: 'In-stream (proxy)',
+    interval: 20000,
+    fetch: async function(options, streamUrl) {
+      const data = await (await request(proxyEndpoint('icy', streamUrl))).json();
+      return data.title ? { title: String(data.title), artist: String(data.artist || '') } : null;
+    }
+  };
+
+  register('icy', {
+    label: 'In-stream',
+    watch: function(options, streamUrl, onTrack) {
+      if (window.hlsPlayer && window.hlsPlayer.isHls(streamUrl)) return { stop: function() {} };
+      if (proxyBase) return poll(icyViaProxy, options, streamUrl, onTrack);
+      return window.icyMetadata.watch(streamUrl, onTrack);
+    }
+  });
+
+  // ===== DETECTION =====
+  // Metadata source for a stream: URL rules first, then the server's status
+  // pages; resolves to a `station.metadata` object. Probing makes requests,
+  // so it's meant for when a station is added, not every time it plays.
+  async function detect(streamUrl) {
+    let url;
+    try {
+      url = new URL(streamUrl);
+    } catch (e) {
+      return { provider: 'icy' };
+    }
+
+    const matched = matchUrl(url);
+    if (matched) return matched;
+
+    for (let i = 0; i < order.length; i++) {
+      const provider = providers[order[i]];
+      if (!provider.probe) continue;
+      try {
+        await provider.fetch({}, streamUrl);
+        return { provider: order[i] };
+      } catch (e) { /* not this kind of server */ }
+    }
+    return { provider: 'icy' };
+  }
+
+  function matchUrl(url) {
+    for (let i = 0; i < order.length; i++) {
+      const provider = providers[order[i]];
+      const options = provider.match && provider.match(url);
+      if (options) return Object.assign({ provider: order[i] }, options);
+    }
+    return null;
+  }
+
+  // ===== SESSIONS =====
+  // Follows `source` (a station.metadata object, or null to go by the stream
+  // URL alone) and calls `onTrack(track|null)` whenever the track changes.
+  // Returns { provider, stop }.
+  function start(source, streamUrl, onTrack) {
+    let url = null;
+    try { url = new URL(streamUrl); } catch (e) { /* left to ICY */ }
+    const resolved = source && providers[source.provider] ? source : (url && matchUrl(url)) || { provider: 'icy' };
+    const name = resolved.provider;
+    const provider = providers[name];
+
+    const session = provider.watch
+      ? provider.watch(resolved, streamUrl, onTrack)
+      : poll(provider, resolved, streamUrl, onTrack);
+    return { provider: name, stop: session.stop };
+  }
+
+  function poll(provider, options, streamUrl, onTrack) {
+    let stopped = false;
+    let timer = null;
+    let failures = 0;
+    let last;
+
+    async function check() {
+      try {
+        const track = await provider.fetch(options, streamUrl);
+        if (stopped) return;
+        failures = 0;
+        if (last === undefined || !sameTrack(track, last)) {
+          last = track;
+          onTrack(track);
+        }
+      } catch (err) {
+        if (stopped) return;
+        // Keep showing the last track; just ask less often until it recovers
+        failures++;
+        console.log(provider.label + ' metadata unavailable:', err.message);
+      }
+      if (!stopped) timer = setTimeout(check, nextDelay());
+    }
+
+    function nextDelay() {
+      return failures ? Math.min(provider.interval * Math.pow(2, failures), MAX_BACKOFF) : provider.interval;
+    }
+
+    check();
+    return {
+      stop: function() {
+        stopped = true;
+        clearTimeout(timer);
+      }
+    };
+  }
+
+  // ===== PUBLIC API =====
+  window.nowPlaying = {
+    register: register,
+    detect: detect,
+    start: start,
+    setProxy: setProxy,
+    getProxy: function() { return proxyBase; },
+    getProviders: function() { return order.slice(); }
+  };
+})();
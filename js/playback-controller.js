@@ -0,0 +1,792 @@
+/**
+ * Playback Controller
+ * Owns the audio element, the Web Audio graph, mirror failover and reconnects
+ * behind one explicit state machine. UI, Media Session and wake lock code
+ * subscribe to its events instead of touching the audio element directly.
+ *
+ *   idle ──play()──▶ connecting ──▶ playing ◀──▶ buffering
+ *                       │  ▲           │  ▲
+ *             all fail  │  │ retry     ▼  │ resume()
+ *                       ▼  │         paused
+ *                  reconnecting ──out of attempts──▶ error
+ */
+
+(function() {
+  'use strict';
+
+  const STATES = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    PLAYING: 'playing',
+    BUFFERING: 'buffering',
+    PAUSED: 'paused',
+    ERROR: 'error',
+    RECONNECTING: 'reconnecting'
+  };
+
+  // A stream stuck connecting or buffering this long is treated as failed
+  const STALL_TIMEOUT = 12000;
+
+  const RECONNECT_BASE_DELAY = 1000;
+  const RECONNECT_MAX_DELAY = 30000;
+  const RECONNECT_MAX_ATTEMPTS = 8;
+
+  // ===== STATE =====
+  let state = STATES.IDLE;
+  let candidates = [];        // Ordered stream URLs for the current station
+  let streamIndex = 0;
+  let current = null;         // Binding for the live element: { el, url, media, source, trim, eq, mix, listeners }
+  let outgoing = null;        // Previous station, kept playing while the next one connects
+  let leaving = [];           // Bindings fading out after a crossfade started
+  let crossfadeSeconds = 0;   // 0 = hard cut between stations
+  let timeshiftSeconds = 0;   // Rewind window for streams we can buffer; 0 = off
+  let stallTimer = null;
+  let reconnectTimer = null;
+  let reconnectAttempt = 0;
+  let playToken = 0;          // Invalidates async play() calls overtaken by stop()/play()
+
+  // Web Audio graph, created lazily (browsers require a user gesture):
+  //
+  //   source ─┬─ trim → eq → mix ──┬─ compressor ─┬─ volume → fade → destination
+  //           └─ analyser          │              └─ recorder (once asked for)
+  //   (outgoing station) ──────────┘
+  //
+  // Each element gets its own trim (station loudness offset), equalizer
+  // bands and mix (crossfade) gain. Only the current element feeds the analyser, tapped
+  // before any gain so visuals and loudness measurement see the raw level.
+  // Recordings are taken before volume and fades, so they don't follow the
+  // slider or a sleep timer.
+  let audioContext = null;
+  let analyserNode = null;
+  let compressorNode = null;    // Catches peaks when quiet stations are boosted
+  let volumeNode = null;        // User volume and mute
+  let fadeNode = null;          // Sleep-timer and alarm fades
+  let recordNode = null;        // MediaStream destination for recordings
+  let levelBuffer = null;
+
+  let volume = 1;
+  let muted = false;
+  let stationGainDb = 0;
+  let stationEq = [];           // dB per EQ_BANDS entry for the current station
+
+  let fadeLevel = 1;
+  let fadeTimer = null;
+  let fadeResolve = null;
+
+  let toneTimer = null;
+
+  // ===== EVENTS =====
+  const handlers = {};
+
+  function on(event, fn) {
+    (handlers[event] || (handlers[event] = [])).push(fn);
+  }
+
+  function off(event, fn) {
+    if (handlers[event]) handlers[event] = handlers[event].filter(function(h) { return h !== fn; });
+  }
+
+  // A failing subscriber must never break playback or the other subscribers
+  function emit(event, payload) {
+    (handlers[event] || []).slice().forEach(function(fn) {
+      try {
+        fn(payload);
+      } catch (err) {
+        console.error('Playback listener failed:', event, err);
+      }
+    });
+  }
+
+  function setState(next, detail) {
+    const prev = state;
+    state = next;
+    emit('statechange', { state: next, prev: prev, detail: detail || {} });
+  }
+
+  // ===== WEB AUDIO GRAPH =====
+  function ensureAudioContext() {
+    if (audioContext) return audioContext;
+    try {
+      audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      analyserNode = audioContext.createAnalyser();
+      analyserNode.fftSize = 256;
+      analyserNode.smoothingTimeConstant = 0.8;
+
+      compressorNode = audioContext.createDynamicsCompressor();
+      compressorNode.threshold.value = -12;
+      compressorNode.knee.value = 6;
+      compressorNode.ratio.value = 4;
+      compressorNode.attack.value = 0.01;
+      compressorNode.release.value = 0.25;
+
+      volumeNode = audioContext.createGain();
+      volumeNode.gain.value = muted ? 0 : volume;
+
+      fadeNode = audioContext.createGain();
+      fadeNode.gain.value = fadeLevel;
+
+      // Some engines only process nodes that reach the destination
+      const analyserSink = audioContext.createGain();
+      analyserSink.gain.value = 0;
+      analyserNode.connect(analyserSink);
+      analyserSink.connect(audioContext.destination);
+
+      compressorNode.connect(volumeNode);
+      volumeNode.connect(fadeNode);
+      fadeNode.connect(audioContext.destination);
+    } catch (err) {
+      console.error('✗ Web Audio API unavailable:', err.message);
+      audioContext = null;
+      analyserNode = null;
+    }
+    return audioContext;
+  }
+
+  // Never blocks playback: without a source node the element plays directly
+  function connectGraph(binding, mixLevel) {
+    if (!ensureAudioContext()) return;
+    try {
+      binding.source = audioContext.createMediaElementSource(binding.el);
+      binding.trim = audioContext.createGain();
+      binding.trim.gain.value = dbToGain(stationGainDb);
+      binding.eq = createEqBands();
+      binding.mix = audioContext.createGain();
+      binding.mix.gain.value = mixLevel;
+
+      binding.source.connect(binding.trim);
+      binding.eq.reduce(function(from, band) {
+        from.connect(band);
+        return band;
+      }, binding.trim).connect(binding.mix);
+      binding.mix.connect(compressorNode);
+      binding.source.connect(analyserNode);
+      console.log('✓ Web Audio API connected successfully - audio reactivity enabled');
+      setTimeout(checkSignal, 500);
+    } catch (err) {
+      console.error('✗ Web Audio API connection failed:', err.message);
+      binding.source = null;
+    }
+  }
+
+  function checkSignal() {
+    if (!current || !current.source) return;
+    const testData = new Uint8Array(analyserNode.frequencyBinCount);
+    analyserNode.getByteFrequencyData(testData);
+    if (testData.some(function(v) { return v > 0; })) {
+      console.log('✓ Audio reactivity confirmed');
+    } else {
+      console.warn('⚠ Audio reactivity not detecting signal');
+    }
+  }
+
+  // ===== ELEMENT LIFECYCLE =====
+  // Each stream gets a fresh element and source node; listeners are only
+  // honoured while their binding is the current one
+  function createBinding(url) {
+    const el = new Audio();
+    el.crossOrigin = 'anonymous';
+    // `media` is the HLS or time-shift session feeding the element, if any
+    const binding = { el: el, url: url, media: null, source: null, trim: null, eq: null, mix: null, listeners: [] };
+
+    function listen(type, fn) {
+      const guarded = function(e) { if (current === binding) fn(e); };
+      el.addEventListener(type, guarded);
+      binding.listeners.push([type, guarded]);
+    }
+
+    listen('playing', onPlaying);
+    listen('waiting', onWaiting);
+    listen('pause', onPause);
+    listen('error', function() {
+      console.error('Stream error:', el.error, 'URL:', url);
+      // HLS served without a .m3u8 name only shows up as an unsupported source
+      if (el.error && el.error.code === 4 && window.hlsPlayer && !window.hlsPlayer.isHls(url)) {
+        window.hlsPlayer.detect(url).then(function(isHls) {
+          if (current !== binding) return;
+          if (isHls) connect(streamIndex, { reason: 'hls' });
+          else failover('error');
+        });
+        return;
+      }
+      failover('error');
+    });
+    // A live stream "ending" means the server closed the connection
+    listen('ended', function() { failover('ended'); });
+
+    function onMediaError(err) {
+      if (current !== binding) return;
+      console.error('Stream feed error:', err.message, 'URL:', url);
+      failover('error');
+    }
+
+    const mediaOptions = { window: timeshiftSeconds };
+    if (window.hlsPlayer && window.hlsPlayer.isHls(url)) {
+      binding.media = window.hlsPlayer.attach(el, url, mediaOptions, onMediaError);
+    } else if (timeshiftSeconds > 0 && window.timeshiftBuffer) {
+      binding.media = window.timeshiftBuffer.attach(el, url, mediaOptions, onMediaError);
+    } else {
+      el.src = url;
+    }
+    // Stay silent until the crossfade starts if the old station is still audible
+    connectGraph(binding, outgoing && outgoing.mix ? 0 : 1);
+    // Elements outside the graph (e.g. CORS-blocked) take volume directly
+    if (!binding.source) el.volume = elementVolume();
+    return binding;
+  }
+
+  function releaseBinding(binding) {
+    if (!binding) return;
+    binding.listeners.forEach(function(pair) {
+      binding.el.removeEventListener(pair[0], pair[1]);
+    });
+    binding.el.pause();
+    if (binding.media) binding.media.destroy();
+    // Dropping the src closes the connection; a paused element keeps downloading
+    binding.el.removeAttribute('src');
+    binding.el.load();
+    if (binding.source) {
+      try {
+        binding.source.disconnect();
+        binding.mix.disconnect();
+      } catch (e) { /* already disconnected */ }
+    }
+  }
+
+  // ===== CROSSFADE =====
+  // The playing station becomes `outgoing`: still audible, but no longer
+  // driving state or the analyser
+  function holdOutgoing() {
+    releaseOutgoing();
+    outgoing = current;
+    if (outgoing.source) {
+      try { outgoing.source.disconnect(analyserNode); } catch (e) { /* not connected */ }
+    }
+  }
+
+  function startCrossfade() {
+    if (!outgoing) return;
+    const from = outgoing;
+    outgoing = null;
+
+    // Elements outside the graph can't be faded, so at least cut without a gap
+    if (!from.mix || !current.mix) {
+      releaseBinding(from);
+      if (current.mix) current.mix.gain.value = 1;
+      return;
+    }
+
+    const now = audioContext.currentTime;
+    from.mix.gain.cancelScheduledValues(now);
+    from.mix.gain.setValueAtTime(from.mix.gain.value, now);
+    from.mix.gain.linearRampToValueAtTime(0, now + crossfadeSeconds);
+    current.mix.gain.cancelScheduledValues(now);
+    current.mix.gain.setValueAtTime(current.mix.gain.value, now);
+    current.mix.gain.linearRampToValueAtTime(1, now + crossfadeSeconds);
+
+    leaving.push(from);
+    setTimeout(function() {
+      if (leaving.indexOf(from) < 0) return;
+      leaving = leaving.filter(function(b) { return b !== from; });
+      releaseBinding(from);
+    }, crossfadeSeconds * 1000 + 100);
+  }
+
+  function releaseOutgoing() {
+    releaseBinding(outgoing);
+    outgoing = null;
+    leaving.forEach(releaseBinding);
+    leaving = [];
+  }
+
+  function setCrossfade(seconds) {
+    crossfadeSeconds = Math.max(0, seconds || 0);
+  }
+
+  function connect(index, detail) {
+    releaseBinding(current);
+    clearStallTimer();
+
+    streamIndex = index;
+    current = createBinding(candidates[index]);
+    emit('streamchange', getCurrentStream());
+    setState(STATES.CONNECTING, detail);
+    armStallTimer();
+
+    current.el.play().catch(function(err) { console.error('Play failed:', err); });
+  }
+
+  // ===== ELEMENT EVENTS =====
+  function onPlaying() {
+    clearStallTimer();
+    reconnectAttempt = 0;
+    startCrossfade();
+    setState(STATES.PLAYING, { url: current.url });
+  }
+
+  function onWaiting() {
+    armStallTimer();
+    // Still the initial connect; only a stream that was playing is "buffering"
+    if (state !== STATES.CONNECTING) setState(STATES.BUFFERING);
+  }
+
+  function onPause() {
+    clearStallTimer();
+    setState(STATES.PAUSED);
+  }
+
+  // ===== FAILOVER =====
+  function armStallTimer() {
+    clearStallTimer();
+    stallTimer = setTimeout(function() { failover('stalled'); }, STALL_TIMEOUT);
+  }
+
+  function clearStallTimer() {
+    if (stallTimer) {
+      clearTimeout(stallTimer);
+      stallTimer = null;
+    }
+  }
+
+  // Walk the mirror list; once it's exhausted hand over to the reconnect
+  // supervisor, and only report an error when that runs out of attempts
+  function failover(reason) {
+    clearStallTimer();
+
+    // Walking mirrors is pointless without a network
+    if (navigator.onLine && streamIndex + 1 < candidates.length) {
+      console.warn('Stream ' + (streamIndex + 1) + '/' + candidates.length + ' failed (' + reason + '), trying next');
+      connect(streamIndex + 1, { failover: true, reason: reason });
+      return;
+    }
+
+    releaseBinding(current);
+    current = null;
+    // Don't leave the previous station playing under a "Reconnecting…" message
+    releaseOutgoing();
+    emit('streamchange', null);
+
+    if (!scheduleReconnect()) setState(STATES.ERROR, { reason: reason });
+  }
+
+  // ===== RECONNECT SUPERVISOR =====
+  // Exponential backoff with equal jitter, so many clients dropped by the same
+  // outage don't all hammer the server in lockstep
+  function reconnectDelay(attempt) {
+    const ceiling = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, attempt));
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+  }
+
+  // Returns false when attempts are used up
+  function scheduleReconnect() {
+    cancelReconnect();
+    if (candidates.length === 0) return false;
+
+    if (!navigator.onLine) {
+      setState(STATES.RECONNECTING, { offline: true });   // 'online' event resumes
+      return true;
+    }
+
+    if (reconnectAttempt >= RECONNECT_MAX_ATTEMPTS) return false;
+
+    const delay = reconnectDelay(reconnectAttempt);
+    reconnectAttempt++;
+    setState(STATES.RECONNECTING, {
+      attempt: reconnectAttempt,
+      maxAttempts: RECONNECT_MAX_ATTEMPTS,
+      delay: delay
+    });
+    reconnectTimer = setTimeout(reconnectNow, delay);
+    return true;
+  }
+
+  function reconnectNow() {
+    if (state !== STATES.RECONNECTING) return;
+    cancelReconnect();
+    connect(0, { attempt: Math.max(reconnectAttempt, 1), maxAttempts: RECONNECT_MAX_ATTEMPTS });
+  }
+
+  function cancelReconnect() {
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+  }
+
+  // Network came back: retry straight away with a fresh backoff budget
+  window.addEventListener('online', function() {
+    if (state !== STATES.RECONNECTING) return;
+    console.log('Network online - reconnecting');
+    reconnectAttempt = 0;
+    reconnectNow();
+  });
+
+  // ===== OUTPUT LEVEL =====
+  function dbToGain(db) {
+    return Math.pow(10, db / 20);
+  }
+
+  // Volume for an element playing outside the graph, where the fade stage
+  // has to be folded in by hand
+  function elementVolume() {
+    return muted ? 0 : volume * fadeLevel;
+  }
+
+  function applyVolume() {
+    if (volumeNode) volumeNode.gain.setTargetAtTime(muted ? 0 : volume, audioContext.currentTime, 0.02);
+    if (current && !current.source) current.el.volume = elementVolume();
+  }
+
+  function setVolume(value) {
+    volume = Math.max(0, Math.min(1, value));
+    applyVolume();
+  }
+
+  function setMuted(value) {
+    muted = !!value;
+    applyVolume();
+  }
+
+  // Re-level the current station. `smooth` glides over a couple of seconds
+  // so changes mid-stream aren't audible.
+  function setStationGain(db, smooth) {
+    stationGainDb = db;
+    if (current && current.trim) {
+      current.trim.gain.setTargetAtTime(dbToGain(db), audioContext.currentTime, smooth ? 2 : 0.01);
+    }
+  }
+
+  // ===== EQUALIZER =====
+  // Centre frequencies (Hz); the outer bands are shelves, the rest peaks
+  const EQ_BANDS = [60, 170, 500, 1400, 4000, 12000];
+  const EQ_MAX_DB = 12;
+  const EQ_Q = 1.1;
+
+  function eqGain(index) {
+    const db = stationEq[index];
+    return typeof db === 'number' && isFinite(db) ? Math.max(-EQ_MAX_DB, Math.min(EQ_MAX_DB, db)) : 0;
+  }
+
+  function createEqBands() {
+    return EQ_BANDS.map(function(frequency, i) {
+      const band = audioContext.createBiquadFilter();
+      band.type = i === 0 ? 'lowshelf' : i === EQ_BANDS.length - 1 ? 'highshelf' : 'peaking';
+      band.frequency.value = frequency;
+      band.Q.value = EQ_Q;
+      band.gain.value = eqGain(i);
+      return band;
+    });
+  }
+
+  // Retune the current station's bands; `gains` is dB per EQ_BANDS entry,
+  // missing bands are flat
+  function setEqualizer(gains, smooth) {
+    stationEq = Array.isArray(gains) ? gains.slice() : [];
+    if (!current || !current.eq) return;
+    current.eq.forEach(function(band, i) {
+      band.gain.setTargetAtTime(eqGain(i), audioContext.currentTime, smooth ? 0.1 : 0.01);
+    });
+  }
+
+  // Short-window RMS level of the raw stream in dBFS, or null without a graph
+  function measureLevel() {
+    if (!current || !current.source) return null;
+    if (!levelBuffer) levelBuffer = new Float32Array(analyserNode.fftSize);
+    analyserNode.getFloatTimeDomainData(levelBuffer);
+
+    let sum = 0;
+    for (let i = 0; i < levelBuffer.length; i++) sum += levelBuffer[i] * levelBuffer[i];
+    const rms = Math.sqrt(sum / levelBuffer.length);
+    return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+  }
+
+  // ===== FADES =====
+  // Ramp the fade stage to `target` (0–1) over `seconds`. Resolves true when
+  // the ramp completes, or false if another fade or stop() cut it short.
+  function fadeTo(target, seconds) {
+    cancelFade();
+    const from = fadeLevel;
+    const duration = Math.max(0, seconds || 0) * 1000;
+    const started = Date.now();
+
+    if (fadeNode) {
+      const now = audioContext.currentTime;
+      fadeNode.gain.cancelScheduledValues(now);
+      fadeNode.gain.setValueAtTime(from, now);
+      fadeNode.gain.linearRampToValueAtTime(target, now + duration / 1000);
+    }
+
+    return new Promise(function(resolve) {
+      fadeResolve = resolve;
+      // Tracks the ramp for elements outside the graph and for cancelFade()
+      function step() {
+        const t = duration ? Math.min(1, (Date.now() - started) / duration) : 1;
+        fadeLevel = from + (target - from) * t;
+        if (current && !current.source) current.el.volume = elementVolume();
+        if (t >= 1) finishFade(true);
+      }
+      fadeTimer = setInterval(step, 100);
+      step();
+    });
+  }
+
+  function finishFade(completed) {
+    if (fadeTimer) {
+      clearInterval(fadeTimer);
+      fadeTimer = null;
+    }
+    if (fadeResolve) {
+      const resolve = fadeResolve;
+      fadeResolve = null;
+      resolve(completed);
+    }
+  }
+
+  // Hold the fade wherever it currently is
+  function cancelFade() {
+    if (!fadeTimer) return;
+    finishFade(false);
+    if (fadeNode) {
+      const now = audioContext.currentTime;
+      fadeNode.gain.cancelScheduledValues(now);
+      fadeNode.gain.setValueAtTime(fadeLevel, now);
+    }
+  }
+
+  function resetFade() {
+    cancelFade();
+    fadeLevel = 1;
+    if (fadeNode) {
+      fadeNode.gain.cancelScheduledValues(audioContext.currentTime);
+      fadeNode.gain.value = 1;
+    }
+  }
+
+  // ===== TIME-SHIFT =====
+  // Streams fed through a time-shift buffer can be paused, rewound and
+  // scrubbed; positions are media times on the element's timeline
+  const LIVE_THRESHOLD = 3;   // Seconds behind the newest audio that still count as live
+
+  function currentBuffer() {
+    return timeshiftSeconds > 0 && current && current.media ? current.media.buffer : null;
+  }
+
+  function setTimeshift(seconds) {
+    timeshiftSeconds = Math.max(0, seconds || 0);
+    const buffer = current && current.media && current.media.buffer;
+    if (buffer) buffer.setWindow(timeshiftSeconds);
+  }
+
+  // { start, end, position, behind, live } or null when the stream can't be shifted
+  function getTimeshift() {
+    const buffer = currentBuffer();
+    if (!buffer) return null;
+    const span = buffer.range();
+    const position = current.el.currentTime;
+    const behind = Math.max(0, span.end - position);
+    return { start: span.start, end: span.end, position: position, behind: behind, live: behind < LIVE_THRESHOLD };
+  }
+
+  function seekTo(time) {
+    const buffer = currentBuffer();
+    if (buffer) buffer.seek(time);
+  }
+
+  function seekBy(seconds) {
+    const buffer = currentBuffer();
+    if (buffer) buffer.seek(current.el.currentTime + seconds);
+  }
+
+  function goLive() {
+    const buffer = currentBuffer();
+    if (!buffer) return;
+    buffer.seek(buffer.range().end);
+    if (state === STATES.PAUSED) resume();
+  }
+
+  // ===== RECORDING =====
+  // MediaStream of the station mix, or null when the current stream isn't
+  // routed through Web Audio (there'd be nothing to capture)
+  function getRecordingStream() {
+    if (!current || !current.source) return null;
+    if (!recordNode) {
+      try {
+        recordNode = audioContext.createMediaStreamDestination();
+        compressorNode.connect(recordNode);
+      } catch (err) {
+        console.error('Recording tap unavailable:', err.message);
+        recordNode = null;
+        return null;
+      }
+    }
+    return recordNode.stream;
+  }
+
+  // ===== FALLBACK TONE =====
+  // Beeps through the volume stage, for alarms whose stream won't connect
+  const TONE_FREQUENCY = 880;
+  const TONE_LEVEL = 0.3;
+  const TONE_PERIOD = 1000;
+
+  function beep() {
+    const t = audioContext.currentTime;
+    [0, 0.25].forEach(function(offset) {
+      const osc = audioContext.createOscillator();
+      const envelope = audioContext.createGain();
+      osc.frequency.value = TONE_FREQUENCY;
+      envelope.gain.setValueAtTime(0, t + offset);
+      envelope.gain.linearRampToValueAtTime(TONE_LEVEL, t + offset + 0.02);
+      envelope.gain.linearRampToValueAtTime(0, t + offset + 0.18);
+      osc.connect(envelope);
+      envelope.connect(volumeNode);
+      osc.start(t + offset);
+      osc.stop(t + offset + 0.2);
+    });
+  }
+
+  function startTone() {
+    if (toneTimer || !ensureAudioContext()) return false;
+    if (audioContext.state === 'suspended') {
+      audioContext.resume().catch(function(err) { console.warn('AudioContext resume failed:', err); });
+    }
+    beep();
+    toneTimer = setInterval(beep, TONE_PERIOD);
+    return true;
+  }
+
+  function stopTone() {
+    if (toneTimer) {
+      clearInterval(toneTimer);
+      toneTimer = null;
+    }
+  }
+
+  // ===== CONTROLS =====
+  // Create/resume the AudioContext synchronously inside a user gesture,
+  // before any async work (playlist resolution) loses the activation
+  function prime() {
+    if (ensureAudioContext() && audioContext.state === 'suspended') {
+      audioContext.resume().catch(function(err) { console.warn('AudioContext resume failed:', err); });
+    }
+  }
+
+  // `options.gainDb` is the new station's loudness offset and `options.eq` its
+  // band gains, applied to its element only so an outgoing station keeps its
+  // own sound while crossfading
+  async function play(urls, options) {
+    const token = ++playToken;
+    cancelReconnect();
+    reconnectAttempt = 0;
+    if (crossfadeSeconds > 0 && current && (state === STATES.PLAYING || state === STATES.BUFFERING)) {
+      holdOutgoing();
+    } else {
+      releaseBinding(current);
+      releaseOutgoing();
+    }
+    current = null;
+    stationGainDb = options && typeof options.gainDb === 'number' ? options.gainDb : 0;
+    stationEq = options && Array.isArray(options.eq) ? options.eq.slice() : [];
+
+    candidates = (urls || []).filter(Boolean);
+    if (candidates.length === 0) {
+      setState(STATES.ERROR, { reason: 'no streams' });
+      return;
+    }
+
+    if (ensureAudioContext()) {
+      console.log('AudioContext state:', audioContext.state);
+      if (audioContext.state === 'suspended') {
+        await audioContext.resume().catch(function(err) { console.warn('AudioContext resume failed:', err); });
+      }
+    }
+    if (token !== playToken) return;
+
+    connect(0);
+  }
+
+  function pause() {
+    releaseOutgoing();
+    if (current && (state === STATES.PLAYING || state === STATES.BUFFERING)) current.el.pause();
+  }
+
+  function resume() {
+    if (state === STATES.PAUSED && current) {
+      // A long pause may have outlasted the window; pick up from the oldest audio left
+      const shift = getTimeshift();
+      if (shift && shift.position < shift.start) seekTo(shift.start);
+      current.el.play().catch(function(err) { console.error('Play failed:', err); });
+    } else if (state === STATES.RECONNECTING) {
+      reconnectNow();
+    }
+  }
+
+  function stop() {
+    playToken++;
+    cancelReconnect();
+    clearStallTimer();
+    reconnectAttempt = 0;
+    releaseBinding(current);
+    current = null;
+    releaseOutgoing();
+    candidates = [];
+    // The next station starts at full level even if a fade brought us here
+    resetFade();
+    emit('streamchange', null);
+    if (state !== STATES.IDLE) setState(STATES.IDLE);
+  }
+
+  // ===== QUERIES =====
+  function getCurrentStream() {
+    if (!current) return null;
+    return { url: current.url, index: streamIndex, total: candidates.length };
+  }
+
+  // ===== PUBLIC API =====
+  window.playbackController = {
+    STATES: STATES,
+
+    on: on,
+    off: off,
+
+    prime: prime,
+    play: play,
+    pause: pause,
+    resume: resume,
+    stop: stop,
+
+    getState: function() { return state; },
+    isPlaying: function() { return state === STATES.PLAYING || state === STATES.BUFFERING; },
+    getCurrentStream: getCurrentStream,
+
+    setVolume: setVolume,
+    getVolume: function() { return volume; },
+    setMuted: setMuted,
+    isMuted: function() { return muted; },
+    setStationGain: setStationGain,
+    measureLevel: measureLevel,
+
+    EQ_BANDS: EQ_BANDS,
+    EQ_MAX_DB: EQ_MAX_DB,
+    setEqualizer: setEqualizer,
+
+    setTimeshift: setTimeshift,
+    getTimeshift: getTimeshift,
+    seekTo: seekTo,
+    seekBy: seekBy,
+    goLive: goLive,
+
+    setCrossfade: setCrossfade,
+    getCrossfade: function() { return crossfadeSeconds; },
+
+    fadeTo: fadeTo,
+    cancelFade: cancelFade,
+    getFadeLevel: function() { return fadeLevel; },
+
+    getRecordingStream: getRecordingStream,
+
+    startTone: startTone,
+    stopTone: stopTone,
+
+    // Analyser for the live stream, or null when it isn't routed through Web Audio
+    getAnalyser: function() { return current && current.source ? analyserNode : null; }
+  };
+})();
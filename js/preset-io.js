@@ -0,0 +1,260 @@
+/**
+ * Preset Import / Export
+ * Converts station presets to and from JSON, M3U and PLS files and share links
+ */
+
+(function() {
+  'use strict';
+
+  const JSON_FORMAT = 'minify-presets';
+  const JSON_VERSION = 1;
+  const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+  // Fields carried in exported files; everything else stays device-local.
+  // M3U and PLS only have room for the name, main URL and logo.
+  const EXPORT_FIELDS = ['name', 'url', 'tagline', 'logoUrl', 'themeColor', 'streams', 'eq'];
+  const TEXT_FIELDS = ['name', 'url', 'tagline', 'logoUrl', 'themeColor'];
+
+  function pickFields(station) {
+    const entry = {};
+    EXPORT_FIELDS.forEach(function(key) {
+      if (station[key] !== undefined && station[key] !== null && station[key] !== '') {
+        entry[key] = station[key];
+      }
+    });
+    if ('logoUrl' in entry && !remoteLogo(entry.logoUrl)) delete entry.logoUrl;
+    return entry;
+  }
+
+  // Only http(s) logos travel; bundled assets and uploaded images are local
+  // to this device, and anything else isn't a logo
+  function remoteLogo(value) {
+    return typeof value === 'string' && /^https?:/.test(value) ? value : '';
+  }
+
+  // Imported values can be anything; text fields that aren't strings are ''
+  function textField(value) {
+    return typeof value === 'string' ? value : '';
+  }
+
+  function playable(stations) {
+    return stations.filter(function(s) { return s && s.url; });
+  }
+
+  // ===== EXPORT =====
+  function toJSON(stations) {
+    return JSON.stringify({
+      format: JSON_FORMAT,
+      version: JSON_VERSION,
+      exportedAt: new Date().toISOString(),
+      stations: stations.map(function(s) { return s && s.url ? pickFields(s) : null; })
+    }, null, 2);
+  }
+
+  function toM3U(stations) {
+    const lines = ['#EXTM3U'];
+    playable(stations).forEach(function(s) {
+      const logo = remoteLogo(s.logoUrl) ? ' tvg-logo="' + s.logoUrl + '"' : '';
+      lines.push('#EXTINF:-1' + logo + ',' + (s.name || s.url));
+      lines.push(s.url);
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  function toPLS(stations) {
+    const list = playable(stations);
+    const lines = ['[playlist]'];
+    list.forEach(function(s, i) {
+      const n = i + 1;
+      lines.push('File' + n + '=' + s.url);
+      lines.push('Title' + n + '=' + (s.name || s.url));
+      lines.push('Length' + n + '=-1');
+    });
+    lines.push('NumberOfEntries=' + list.length);
+    lines.push('Version=2');
+    return lines.join('\n') + '\n';
+  }
+
+  function download(filename, text, mimeType) {
+    const blob = new Blob([text], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+  }
+
+  // ===== IMPORT =====
+  // Fields of the wrong type (or colours that aren't hex) are left out;
+  // streams and eq are checked in full by stationStore.validateStation()
+  function importFields(record) {
+    const entry = pickFields(record);
+    TEXT_FIELDS.forEach(function(key) {
+      if (key in entry && typeof entry[key] !== 'string') delete entry[key];
+    });
+    if (entry.themeColor && !HEX_COLOR.test(entry.themeColor)) delete entry.themeColor;
+    if ('streams' in entry && !Array.isArray(entry.streams)) delete entry.streams;
+    if ('eq' in entry && (typeof entry.eq !== 'object' || Array.isArray(entry.eq))) delete entry.eq;
+    return entry;
+  }
+
+  function parseJSON(text) {
+    const data = JSON.parse(text);
+    // Accept our export format, the raw storage format, or a bare array
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.stations) ? data.stations : []);
+    // Empty slots are exported as null; entries remember their slot so a
+    // file goes back to the same positions
+    const entries = [];
+    list.forEach(function(record, slot) {
+      if (!record) return;
+      const entry = importFields(record);
+      entry.slot = slot;
+      entries.push(entry);
+    });
+    return entries;
+  }
+
+  function parseM3U(text) {
+    const entries = [];
+    let pending = null;
+
+    text.split(/\r?\n/).forEach(function(raw) {
+      const line = raw.trim();
+      if (!line) return;
+
+      if (line.indexOf('#EXTINF') === 0) {
+        const comma = line.indexOf(',');
+        const logo = line.match(/tvg-logo="([^"]*)"/);
+        pending = {
+          name: comma >= 0 ? line.substring(comma + 1).trim() : '',
+          logoUrl: logo && remoteLogo(logo[1]) ? logo[1] : undefined
+        };
+        return;
+      }
+      if (line.charAt(0) === '#') return;
+
+      const entry = pending || {};
+      entry.url = line;
+      entries.push(entry);
+      pending = null;
+    });
+
+    return entries;
+  }
+
+  function parsePLS(text) {
+    const files = {};
+    const titles = {};
+
+    text.split(/\r?\n/).forEach(function(raw) {
+      const match = raw.trim().match(/^(File|Title)(\d+)\s*=\s*(.*)$/i);
+      if (!match) return;
+      const target = match[1].toLowerCase() === 'file' ? files : titles;
+      target[match[2]] = match[3].trim();
+    });
+
+    return Object.keys(files)
+      .sort(function(a, b) { return a - b; })
+      .map(function(n) { return { name: titles[n] || '', url: files[n] }; });
+  }
+
+  function detectFormat(text, filename) {
+    const ext = (filename || '').toLowerCase().split('.').pop();
+    if (ext === 'json' || ext === 'm3u' || ext === 'm3u8' || ext === 'pls') {
+      return ext === 'm3u8' ? 'm3u' : ext;
+    }
+    const head = text.trim();
+    if (/^\[playlist\]/i.test(head)) return 'pls';
+    if (head.charAt(0) === '{' || head.charAt(0) === '[') return 'json';
+    return 'm3u';
+  }
+
+  // Returns { entries, rejected } where entries have valid stream URLs and
+  // rejected counts the entries dropped for a missing or unusable URL. JSON
+  // entries carry the `slot` they were exported from; playlists have none.
+  function parse(text, filename) {
+    const format = detectFormat(text, filename);
+    let raw = [];
+
+    if (format === 'json') raw = parseJSON(text);
+    else if (format === 'pls') raw = parsePLS(text);
+    else raw = parseM3U(text);
+
+    const entries = [];
+    raw.forEach(function(entry) {
+      if (!window.stationStore.isStreamUrl(entry.url)) return;
+      if (!entry.name) entry.name = new URL(entry.url).hostname;
+      entries.push(entry);
+    });
+
+    return { format: format, entries: entries, rejected: raw.length - entries.length };
+  }
+
+  // ===== SHARE LINKS =====
+  // Presets are packed as positional arrays ([name, url, tagline, logoUrl, themeColor],
+  // or 0 for an empty slot) and base64url-encoded into the URL fragment.
+  const SHARE_PREFIX = '#presets=';
+
+  function base64UrlEncode(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(function(b) { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function base64UrlDecode(encoded) {
+    const b64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+    return new TextDecoder().decode(Uint8Array.from(binary, function(c) { return c.charCodeAt(0); }));
+  }
+
+  function toShareFragment(stations) {
+    const packed = stations.map(function(s) {
+      if (!s || !s.url) return 0;
+      const fields = [s.name || '', s.url, s.tagline || '', remoteLogo(s.logoUrl), s.themeColor || ''];
+      while (fields[fields.length - 1] === '') fields.pop();
+      return fields;
+    });
+    return SHARE_PREFIX + base64UrlEncode(JSON.stringify(packed));
+  }
+
+  // Returns one entry (or null to leave the slot alone) per slot, or null if
+  // the fragment isn't a readable share link
+  function fromShareFragment(hash) {
+    if (!hash || hash.indexOf(SHARE_PREFIX) !== 0) return null;
+
+    let packed;
+    try {
+      packed = JSON.parse(base64UrlDecode(hash.substring(SHARE_PREFIX.length)));
+    } catch (e) {
+      console.warn('Share link unreadable:', e.message);
+      return null;
+    }
+    if (!Array.isArray(packed)) return null;
+
+    const entries = packed.slice(0, window.stationStore.SLOT_COUNT).map(function(fields) {
+      if (!Array.isArray(fields) || !window.stationStore.isStreamUrl(fields[1])) return null;
+      return {
+        name: textField(fields[0]).trim() || new URL(fields[1]).hostname,
+        url: fields[1],
+        tagline: textField(fields[2]),
+        logoUrl: remoteLogo(fields[3]) || undefined,
+        themeColor: HEX_COLOR.test(textField(fields[4])) ? fields[4] : undefined
+      };
+    });
+    return entries.some(Boolean) ? entries : null;
+  }
+
+  // ===== PUBLIC API =====
+  window.presetIO = {
+    toJSON: toJSON,
+    toM3U: toM3U,
+    toPLS: toPLS,
+    download: download,
+    parse: parse,
+    toShareFragment: toShareFragment,
+    fromShareFragment: fromShareFragment
+  };
+})();
@@ -0,0 +1,201 @@
+/**
+ * Programme Guide
+ * Registry of schedule sources. A station names its source in
+ * `station.schedule` ({ provider, ...options }); stations without one use a
+ * provider recognised from the stream URL. Days are cached in localStorage
+ * and fetched again once they go stale.
+ */
+
+(function() {
+  'use strict';
+
+  const CACHE_KEY = 'minify_schedules';
+  const CACHE_TTL = 60 * 60000;
+  const CACHE_DAYS = 14;             // Entries older than this are pruned
+  const REQUEST_TIMEOUT = 8000;
+  const DAY_MS = 24 * 60 * 60000;
+
+  const providers = {};
+  const order = [];
+  const pending = {};
+  let cache = null;
+
+  // ===== REGISTRY =====
+  // A provider is { label, fetchDay(options, start, end) → Promise<show[]> }
+  // where start/end bound the local day in ms. Optional match(url) → options
+  // when a stream URL (a URL object) clearly belongs to it.
+  // A show is { title, presenter, start, end, description } with times in ms.
+  function register(name, provider) {
+    providers[name] = provider;
+    if (order.indexOf(name) < 0) order.push(name);
+  }
+
+  // ===== HELPERS =====
+  async function getJson(url, headers) {
+    const controller = new AbortController();
+    const timer = setTimeout(function() { controller.abort(); }, REQUEST_TIMEOUT);
+    try {
+      const response = await fetch(url, { signal: controller.signal, headers: headers || {} });
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      return await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Feeds give times as epoch ms or as date strings
+  function parseTime(value) {
+    return typeof value === 'number' ? value : Date.parse(value);
+  }
+
+  // Drops shows that can't be placed, and sorts the rest
+  function cleanShows(shows) {
+    return shows
+      .map(function(show) {
+        const start = parseTime(show.start);
+        const end = parseTime(show.end);
+        if (!show.title || isNaN(start) || isNaN(end) || end <= start) return null;
+        return {
+          title: String(show.title).trim(),
+          presenter: show.presenter ? String(show.presenter).trim() : '',
+          start: start,
+          end: end,
+          description: show.description ? String(show.description).trim() : ''
+        };
+      })
+      .filter(Boolean)
+      .sort(function(a, b) { return a.start - b.start; });
+  }
+
+  // ===== PROVIDERS =====
+  // Stream URLs look like https://<station>.radiocult.fm/stream; some
+  // stations need their publishable API key in `options.apiKey`
+  register('radiocult', {
+    label: 'Radiocult',
+    match: function(url) {
+      const sub = /^([a-z0-9-]+)\.radiocult\.fm$/i.exec(url.hostname);
+      return sub && sub[1] !== 'www' && sub[1] !== 'api' ? { stationId: sub[1] } : null;
+    },
+    fetchDay: async function(options, start, end) {
+      const data = await getJson(
+        'https://api.radiocult.fm/api/station/' + encodeURIComponent(options.stationId) + '/schedule' +
+          '?startDate=' + encodeURIComponent(new Date(start).toISOString()) +
+          '&endDate=' + encodeURIComponent(new Date(end).toISOString()),
+        options.apiKey ? { 'x-api-key': options.apiKey } : null
+      );
+      const events = Array.isArray(data.schedules) ? data.schedules : [];
+      return events.map(function(event) {
+        const artists = Array.isArray(event.artists) ? event.artists : [];
+        return {
+          title: event.title,
+          presenter: artists.map(function(a) { return a && a.name; }).filter(Boolean).join(', '),
+          start: event.start || event.startDateUtc,
+          end: event.end || event.endDateUtc,
+          description: typeof event.description === 'string' ? event.description : ''
+        };
+      });
+    }
+  });
+
+  // Any JSON list of { title, presenter, start, end } at `options.url`, times
+  // as ISO strings or epoch ms, for stations that publish their own guide (or
+  // a feed you host for them)
+  register('json', {
+    label: 'JSON feed',
+    fetchDay: async function(options) {
+      const data = await getJson(options.url);
+      return Array.isArray(data) ? data : Array.isArray(data.shows) ? data.shows : [];
+    }
+  });
+
+  // ===== CACHE =====
+  function loadCache() {
+    if (cache) return cache;
+    try {
+      cache = JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+    } catch (e) {
+      cache = {};
+    }
+    return cache;
+  }
+
+  function saveCache() {
+    const cutoff = Date.now() - CACHE_DAYS * DAY_MS;
+    Object.keys(cache).forEach(function(key) {
+      if (cache[key].fetchedAt < cutoff) delete cache[key];
+    });
+    try {
+      localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+    } catch (e) { /* storage unavailable */ }
+  }
+
+  // ===== LOOKUP =====
+  // The station's schedule source, or null if it has none
+  function resolve(source, streamUrl) {
+    if (source && providers[source.provider]) return source;
+    let url;
+    try {
+      url = new URL(streamUrl);
+    } catch (e) {
+      return null;
+    }
+    for (let i = 0; i < order.length; i++) {
+      const options = providers[order[i]].match && providers[order[i]].match(url);
+      if (options) return Object.assign({ provider: order[i] }, options);
+    }
+    return null;
+  }
+
+  function startOfDay(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day.getTime();
+  }
+
+  // Shows overlapping the local day containing `date`. Stale days are
+  // fetched again; if that fails the stale copy is better than nothing.
+  function getDay(source, date) {
+    const provider = source && providers[source.provider];
+    if (!provider) return Promise.resolve([]);
+
+    const start = startOfDay(date);
+    const end = start + DAY_MS;
+    const key = JSON.stringify(source) + '|' + start;
+    const cached = loadCache()[key];
+    if (cached && Date.now() - cached.fetchedAt < CACHE_TTL) return Promise.resolve(cached.shows);
+    if (pending[key]) return pending[key];
+
+    pending[key] = provider.fetchDay(source, start, end).then(function(shows) {
+      const day = cleanShows(shows).filter(function(show) { return show.end > start && show.start < end; });
+      loadCache()[key] = { shows: day, fetchedAt: Date.now() };
+      saveCache();
+      return day;
+    }).catch(function(err) {
+      console.log(provider.label + ' schedule unavailable:', err.message);
+      return cached ? cached.shows : [];
+    }).finally(function() {
+      delete pending[key];
+    });
+    return pending[key];
+  }
+
+  // { now, next } from a day's shows at `time` (either may be null)
+  function nowNext(shows, time) {
+    let now = null;
+    let next = null;
+    for (let i = 0; i < shows.length; i++) {
+      if (shows[i].start <= time && shows[i].end > time) now = shows[i];
+      else if (shows[i].start > time && (!next || shows[i].start < next.start)) next = shows[i];
+    }
+    return { now: now, next: next };
+  }
+
+  // ===== PUBLIC API =====
+  window.programmeGuide = {
+    register: register,
+    resolve: resolve,
+    getDay: getDay,
+    nowNext: nowNext,
+    getProviders: function() { return order.slice(); }
+  };
+})();
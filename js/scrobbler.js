@@ -0,0 +1,260 @@
+/**
+ * Scrobbler
+ * Submits now-playing tracks to a ListenBrainz-compatible server: "playing
+ * now" when a track starts, and a listen once it has played for
+ * LISTEN_AFTER of actual playback. Listens wait in a localStorage queue until
+ * the server takes them, so nothing is lost offline.
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_SERVER = 'https://api.listenbrainz.org';
+  const QUEUE_KEY = 'minify_scrobbles';
+  const QUEUE_LIMIT = 1000;
+  const BATCH_SIZE = 100;
+  const LISTEN_AFTER = 60000;
+  const REQUEST_TIMEOUT = 10000;
+  const RETRY_MIN = 30000;
+  const RETRY_MAX = 30 * 60000;
+  const CLIENT = 'Minify Radio';
+
+  let config = null;            // { server, token } while scrobbling is on
+  let current = null;           // { track, listenedAt, heard, playingSince, timer, submitted }
+  let playing = false;
+  let queue = loadQueue();
+  let flushing = false;
+  let singles = 0;              // Listens at the head of the queue to send one at a time
+  let retryTimer = null;
+  let retryDelay = RETRY_MIN;
+  let lastError = null;         // Shown until the next successful submission
+  let authFailed = false;
+  let statusListener = function() {};
+
+  // ===== QUEUE =====
+  function loadQueue() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(QUEUE_KEY));
+      return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveQueue() {
+    try {
+      localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    } catch (e) { /* storage unavailable */ }
+  }
+
+  // The oldest listens go if the queue overflows during a long time offline
+  function enqueue(listen) {
+    queue.push(listen);
+    if (queue.length > QUEUE_LIMIT) queue = queue.slice(queue.length - QUEUE_LIMIT);
+    saveQueue();
+    notify();
+  }
+
+  // ===== REQUESTS =====
+  async function request(path, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(function() { controller.abort(); }, REQUEST_TIMEOUT);
+    try {
+      return await fetch(options.server + path, {
+        method: options.body ? 'POST' : 'GET',
+        headers: Object.assign({ 'Authorization': 'Token ' + options.token }, options.body ? { 'Content-Type': 'application/json' } : {}),
+        body: options.body ? JSON.stringify(options.body) : undefined,
+        signal: controller.signal
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function trackMetadata(track) {
+    return {
+      artist_name: track.artist,
+      track_name: track.title,
+      additional_info: {
+        media_player: CLIENT,
+        submission_client: CLIENT
+      }
+    };
+  }
+
+  // Best effort: a missed "playing now" isn't worth queueing
+  function sendPlayingNow(track) {
+    if (!config || authFailed || !navigator.onLine) return;
+    request('/1/submit-listens', {
+      server: config.server,
+      token: config.token,
+      body: { listen_type: 'playing_now', payload: [{ track_metadata: trackMetadata(track) }] }
+    }).then(function(response) {
+      if (response.status === 401) rejectToken();
+    }).catch(function() { /* the listen itself is queued */ });
+  }
+
+  // Nothing more is sent until the token is saved again
+  function rejectToken() {
+    authFailed = true;
+    lastError = 'The server rejected the token';
+    notify();
+  }
+
+  // Sends queued listens oldest first, a batch at a time
+  async function flush() {
+    if (!config || authFailed || flushing || !queue.length) return;
+    if (!navigator.onLine) return;         // The online event calls back
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    flushing = true;
+
+    const batch = queue.slice(0, singles ? 1 : BATCH_SIZE);
+    let retry = false;
+    try {
+      const response = await request('/1/submit-listens', {
+        server: config.server,
+        token: config.token,
+        body: { listen_type: batch.length === 1 ? 'single' : 'import', payload: batch }
+      });
+      if (response.ok) {
+        queue = queue.slice(batch.length);
+        singles = Math.max(0, singles - batch.length);
+        lastError = null;
+        retryDelay = RETRY_MIN;
+      } else if (response.status === 401) {
+        rejectToken();
+      } else if (response.status === 400 && batch.length > 1) {
+        // The server doesn't say which listen it objected to, so the batch
+        // goes again one listen at a time to find it
+        singles = batch.length;
+      } else if (response.status === 400) {
+        // A listen the server won't take is dropped so it can't block the rest
+        console.warn('Scrobble rejected:', batch[0]);
+        queue = queue.slice(1);
+        singles = Math.max(0, singles - 1);
+      } else {
+        lastError = 'Server error ' + response.status;
+        retry = true;
+      }
+    } catch (err) {
+      lastError = 'Server unreachable';
+      retry = true;
+    }
+
+    flushing = false;
+    saveQueue();
+    notify();
+    if (retry) {
+      retryTimer = setTimeout(flush, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, RETRY_MAX);
+    } else if (queue.length && !authFailed) {
+      flush();
+    }
+  }
+
+  // ===== LISTENING =====
+  function startTimer() {
+    clearTimeout(current.timer);
+    current.timer = setTimeout(submitCurrent, Math.max(0, LISTEN_AFTER - current.heard));
+  }
+
+  function submitCurrent() {
+    current.submitted = true;
+    if (!config) return;
+    enqueue({ listened_at: current.listenedAt, track_metadata: trackMetadata(current.track) });
+    flush();
+  }
+
+  // `track` is { artist, title }, or null between tracks. Tracks
+  // without an artist (show names, station idents) aren't scrobbled.
+  function trackChanged(track) {
+    if (current) clearTimeout(current.timer);
+    current = null;
+    if (!track || !track.artist || !track.title) return;
+
+    current = {
+      track: track,
+      listenedAt: Math.floor(Date.now() / 1000),
+      heard: 0,
+      playingSince: playing ? Date.now() : null,
+      timer: null,
+      submitted: false
+    };
+    if (playing) {
+      startTimer();
+      sendPlayingNow(track);
+    }
+  }
+
+  // Only time spent actually playing counts towards a listen
+  function setPlaying(isPlaying) {
+    if (isPlaying === playing) return;
+    playing = isPlaying;
+    if (!current || current.submitted) return;
+
+    if (playing) {
+      current.playingSince = Date.now();
+      startTimer();
+      if (!current.heard) sendPlayingNow(current.track);
+    } else {
+      current.heard += Date.now() - current.playingSince;
+      current.playingSince = null;
+      clearTimeout(current.timer);
+    }
+  }
+
+  // ===== CONFIGURATION =====
+  function normalizeServer(server) {
+    return (server || DEFAULT_SERVER).trim().replace(/\/+$/, '');
+  }
+
+  // `options` is { server, token }, or null to stop scrobbling. Queued
+  // listens stay queued while it's off.
+  function configure(options) {
+    config = options && options.token ? { server: normalizeServer(options.server), token: options.token } : null;
+    authFailed = false;
+    lastError = null;
+    retryDelay = RETRY_MIN;
+    notify();
+    flush();
+  }
+
+  // Resolves with the user name the token belongs to; rejects if it's invalid
+  async function validateToken(server, token) {
+    const response = await request('/1/validate-token', { server: normalizeServer(server), token: token });
+    const data = response.ok ? await response.json() : null;
+    if (!data || !data.valid) throw new Error(data && data.message ? data.message : 'Invalid token');
+    return data.user_name || '';
+  }
+
+  function getStatus() {
+    return {
+      enabled: !!config,
+      queued: queue.length,
+      error: lastError
+    };
+  }
+
+  function notify() {
+    try {
+      statusListener(getStatus());
+    } catch (err) {
+      console.error('Scrobble status handler failed:', err);
+    }
+  }
+
+  window.addEventListener('online', flush);
+
+  // ===== PUBLIC API =====
+  window.scrobbler = {
+    DEFAULT_SERVER: DEFAULT_SERVER,
+    configure: configure,
+    validateToken: validateToken,
+    trackChanged: trackChanged,
+    setPlaying: setPlaying,
+    flush: flush,
+    getStatus: getStatus,
+    onStatus: function(fn) { statusListener = fn || function() {}; }
+  };
+})();
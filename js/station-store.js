@@ -0,0 +1,231 @@
+/**
+ * Station Storage
+ * Versioned persistence for station presets, alarms and app settings, with
+ * migrations from older formats and per-slot recovery of bad records
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'minify_stations';
+  const CURRENT_VERSION = 4;
+  const SLOT_COUNT = 3;
+
+  const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+  const ALARM_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const ALARM_DEFAULT_START_VOLUME = 0.2;
+  const ALARM_DEFAULT_FADE_IN = 60;
+  const EQ_MAX_DB = 12;
+
+  // ===== MIGRATIONS =====
+  // migrations[n] upgrades a version n payload to version n + 1.
+  // Stored data is walked through every step until it reaches CURRENT_VERSION.
+  const migrations = {
+    // v1: bare array of station records, no settings
+    1: function(stations) {
+      return { version: 2, stations: stations, settings: {} };
+    },
+
+    // v2 → v3: ordered `streams` list per station; the single-playlist
+    // `resolvedStreams` cache becomes `resolvedPlaylists`, keyed by playlist URL
+    2: function(data) {
+      const stations = Array.isArray(data.stations) ? data.stations : [];
+      return Object.assign({}, data, {
+        version: 3,
+        stations: stations.map(function(station) {
+          if (!isPlainObject(station)) return station;
+          const upgraded = Object.assign({}, station);
+          if (upgraded.url && !Array.isArray(upgraded.streams)) upgraded.streams = [upgraded.url];
+          if (isPlainObject(upgraded.resolvedStreams) && upgraded.resolvedStreams.source) {
+            upgraded.resolvedPlaylists = {};
+            upgraded.resolvedPlaylists[upgraded.resolvedStreams.source] = {
+              streams: upgraded.resolvedStreams.streams,
+              resolvedAt: upgraded.resolvedStreams.resolvedAt
+            };
+          }
+          delete upgraded.resolvedStreams;
+          return upgraded;
+        })
+      });
+    },
+
+    // v3 → v4: alarms are stored alongside the stations
+    3: function(data) {
+      return Object.assign({}, data, { version: 4, alarms: [] });
+    }
+  };
+
+  function detectVersion(data) {
+    if (Array.isArray(data)) return 1;
+    if (isPlainObject(data) && Number.isInteger(data.version)) return data.version;
+    return 0;
+  }
+
+  function migrate(data) {
+    let version = detectVersion(data);
+    if (version > CURRENT_VERSION) {
+      console.warn('Station storage is from a newer version (' + version + '), using defaults');
+      return null;
+    }
+    if (version < 1) return null;
+
+    while (version < CURRENT_VERSION) {
+      data = migrations[version](data);
+      version++;
+    }
+    return data;
+  }
+
+  // ===== VALIDATION =====
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function isStreamUrl(value) {
+    if (typeof value !== 'string' || !value) return false;
+    try {
+      const parsed = new URL(value);
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Returns a cleaned copy of the record, or null if it can't be used.
+  // Unknown fields are kept so newer features can store data on the station.
+  function validateStation(record, slotIndex) {
+    if (!isPlainObject(record)) return null;
+    if (typeof record.id !== 'string' || !record.id) return null;
+    // An empty url is an empty slot; anything else must be a real stream URL
+    if (record.url && !isStreamUrl(record.url)) return null;
+
+    // Ordered failover list; the main url always stays in it
+    const streams = Array.isArray(record.streams) ? record.streams.filter(isStreamUrl) : [];
+    if (record.url && streams.indexOf(record.url) < 0) streams.unshift(record.url);
+
+    return Object.assign({}, record, {
+      slotIndex: slotIndex,
+      streams: streams,
+      name: typeof record.name === 'string' ? record.name : '',
+      url: record.url || '',
+      tagline: typeof record.tagline === 'string' ? record.tagline : '',
+      logoUrl: typeof record.logoUrl === 'string' && record.logoUrl ? record.logoUrl : null,
+      isDefault: record.isDefault === true,
+      themeColor: HEX_COLOR.test(record.themeColor || '') ? record.themeColor : null,
+      eq: validateEq(record.eq),
+      // Now-playing source, { provider, ...options } (see now-playing.js)
+      metadata: isPlainObject(record.metadata) && typeof record.metadata.provider === 'string' && record.metadata.provider
+        ? record.metadata
+        : null,
+      // Programme guide source, { provider, ...options } (see programme-guide.js)
+      schedule: isPlainObject(record.schedule) && typeof record.schedule.provider === 'string' && record.schedule.provider
+        ? record.schedule
+        : null
+    });
+  }
+
+  // { preset, gains } with gains in dB per band, or null (flat)
+  function validateEq(eq) {
+    if (!isPlainObject(eq) || !Array.isArray(eq.gains)) return null;
+    const valid = eq.gains.every(function(db) { return typeof db === 'number' && isFinite(db); });
+    if (!valid) return null;
+    return {
+      preset: typeof eq.preset === 'string' && eq.preset ? eq.preset : 'custom',
+      gains: eq.gains.map(function(db) { return Math.max(-EQ_MAX_DB, Math.min(EQ_MAX_DB, db)); })
+    };
+  }
+
+  // Returns a cleaned copy of the alarm, or null if it can't be scheduled.
+  // No weekdays means a one-off alarm.
+  function validateAlarm(record) {
+    if (!isPlainObject(record)) return null;
+    if (typeof record.id !== 'string' || !record.id) return null;
+    if (!ALARM_TIME.test(record.time || '')) return null;
+    if (!Number.isInteger(record.slotIndex) || record.slotIndex < 0 || record.slotIndex >= SLOT_COUNT) return null;
+
+    const days = (Array.isArray(record.days) ? record.days : [])
+      .filter(function(day, i, all) {
+        return Number.isInteger(day) && day >= 0 && day <= 6 && all.indexOf(day) === i;
+      })
+      .sort();
+    const startVolume = typeof record.startVolume === 'number' && isFinite(record.startVolume)
+      ? Math.max(0, Math.min(1, record.startVolume))
+      : ALARM_DEFAULT_START_VOLUME;
+    const fadeIn = typeof record.fadeIn === 'number' && record.fadeIn >= 0 ? record.fadeIn : ALARM_DEFAULT_FADE_IN;
+
+    return Object.assign({}, record, {
+      days: days,
+      startVolume: startVolume,
+      fadeIn: fadeIn,
+      enabled: record.enabled !== false
+    });
+  }
+
+  // ===== LOAD / SAVE =====
+  function readRaw() {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+      return null;   // storage unavailable
+    }
+  }
+
+  function load(defaults) {
+    const raw = readRaw();
+    let data = null;
+
+    if (raw) {
+      try {
+        data = migrate(JSON.parse(raw));
+      } catch (e) {
+        console.warn('Station storage unreadable, using defaults:', e.message);
+      }
+    }
+
+    const saved = data && Array.isArray(data.stations) ? data.stations : [];
+    const stations = [];
+
+    // Recover slot by slot: a single bad record only costs that slot
+    for (let i = 0; i < SLOT_COUNT; i++) {
+      const station = validateStation(saved[i], i);
+      if (station) {
+        stations.push(station);
+      } else {
+        if (data) console.warn('Station slot ' + i + ' invalid, restoring default');
+        stations.push(Object.assign({}, defaults[i]));
+      }
+    }
+
+    // Bad alarms are dropped one by one, like bad slots
+    const alarms = (data && Array.isArray(data.alarms) ? data.alarms : [])
+      .map(validateAlarm)
+      .filter(Boolean);
+
+    return {
+      stations: stations,
+      settings: data && isPlainObject(data.settings) ? data.settings : {},
+      alarms: alarms
+    };
+  }
+
+  function save(stations, settings, alarms) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        version: CURRENT_VERSION,
+        stations: stations,
+        settings: settings || {},
+        alarms: alarms || []
+      }));
+    } catch (e) { /* storage unavailable */ }
+  }
+
+  // ===== PUBLIC API =====
+  window.stationStore = {
+    SLOT_COUNT: SLOT_COUNT,
+    load: load,
+    save: save,
+    validateStation: validateStation,
+    validateAlarm: validateAlarm,
+    isStreamUrl: isStreamUrl
+  };
+})();
@@ -0,0 +1,140 @@
+/**
+ * Stream Probe
+ * Checks that a hand-entered URL is a reachable, decodable audio stream
+ * before it is saved as a station
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_TIMEOUT = 8000;
+  const HEADER_TIMEOUT = 4000;
+
+  // Read response headers, then drop the body so we don't download the stream.
+  // Resolves with null when the request is blocked (usually CORS) or times out.
+  async function fetchHeaders(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(function() { controller.abort(); }, HEADER_TIMEOUT);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      const headers = {
+        status: response.status,
+        ok: response.ok,
+        contentType: response.headers.get('content-type') || '',
+        icyName: response.headers.get('icy-name') || '',
+        icyDescription: response.headers.get('icy-description') || ''
+      };
+      controller.abort();
+      return headers;
+    } catch (e) {
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Load the URL into a throwaway Audio element configured like playback
+  function testDecode(url, timeout) {
+    return new Promise(function(resolve) {
+      const audio = new Audio();
+      audio.crossOrigin = 'anonymous';
+      audio.preload = 'auto';
+      audio.muted = true;
+
+      let timer = null;
+
+      function finish(result) {
+        clearTimeout(timer);
+        audio.removeEventListener('canplay', onReady);
+        audio.removeEventListener('loadedmetadata', onReady);
+        audio.removeEventListener('error', onError);
+        audio.removeAttribute('src');
+        audio.load();
+        resolve(result);
+      }
+
+      function onReady() { finish({ decodable: true }); }
+      function onError() {
+        const code = audio.error ? audio.error.code : 0;
+        finish({ decodable: false, error: code === 4 ? 'Format not supported' : 'Stream unreachable' });
+      }
+
+      audio.addEventListener('canplay', onReady);
+      audio.addEventListener('loadedmetadata', onReady);
+      audio.addEventListener('error', onError);
+      timer = setTimeout(function() {
+        finish({ decodable: false, error: 'No audio within ' + Math.round(timeout / 1000) + 's' });
+      }, timeout);
+
+      audio.src = url;
+      audio.load();
+    });
+  }
+
+  // Resolves with { ok, url, streamUrl, contentType, reachable, decodable, icyName, error }.
+  // `streamUrl` differs from `url` when a playlist wrapper had to be unwrapped first.
+  async function probe(url, options) {
+    const timeout = (options && options.timeout) || DEFAULT_TIMEOUT;
+    const result = {
+      ok: false,
+      url: url,
+      streamUrl: url,
+      contentType: '',
+      reachable: null,        // null = unknown (request blocked by CORS)
+      decodable: false,
+      icyName: '',
+      error: ''
+    };
+
+    if (!window.stationStore.isStreamUrl(url)) {
+      result.error = 'Enter an http:// or https:// URL';
+      return result;
+    }
+
+    if (window.streamResolver.isPlaylistUrl(url)) {
+      try {
+        result.streamUrl = (await window.streamResolver.resolve(url))[0];
+      } catch (e) {
+        result.error = 'Playlist could not be read';
+        return result;
+      }
+    }
+
+    const headers = await fetchHeaders(result.streamUrl);
+    if (headers) {
+      result.reachable = headers.ok;
+      result.contentType = headers.contentType.split(';')[0].trim();
+      result.icyName = headers.icyName;
+      if (window.hlsPlayer.isHlsContent('', result.contentType)) window.hlsPlayer.markHls(result.streamUrl);
+      if (!headers.ok) {
+        result.error = 'Server returned ' + headers.status;
+        return result;
+      }
+      if (result.contentType && /^(text\/html|application\/json)/.test(result.contentType)) {
+        result.error = 'URL is a web page, not an audio stream';
+        return result;
+      }
+    }
+
+    // Most browsers can't decode HLS directly; check the playlist instead
+    if (window.hlsPlayer.isHls(result.streamUrl)) {
+      const hls = await window.hlsPlayer.inspect(result.streamUrl);
+      result.ok = result.decodable = hls.ok;
+      result.error = hls.error;
+      if (hls.ok) result.reachable = true;
+      return result;
+    }
+
+    const decoded = await testDecode(result.streamUrl, timeout);
+    result.decodable = decoded.decodable;
+    result.error = decoded.error || '';
+    result.ok = decoded.decodable;
+    if (decoded.decodable) result.reachable = true;
+    return result;
+  }
+
+  // ===== PUBLIC API =====
+  window.streamProbe = {
+    probe: probe
+  };
+})();
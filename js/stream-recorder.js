@@ -0,0 +1,183 @@
+/**
+ * Stream Recorder
+ * Records a MediaStream (the station mix from the playback controller) with
+ * MediaRecorder, one file per track. Files are kept in memory as Blobs and
+ * named from the station and track that was playing.
+ */
+
+(function() {
+  'use strict';
+
+  // First type the browser can record wins
+  const FORMATS = [
+    { mimeType: 'audio/webm;codecs=opus', extension: 'webm' },
+    { mimeType: 'audio/ogg;codecs=opus', extension: 'ogg' },
+    { mimeType: 'audio/mp4', extension: 'm4a' },
+    { mimeType: 'audio/webm', extension: 'webm' }
+  ];
+  const TIMESLICE = 1000;
+  // Track changes this soon after a file starts rename it instead of splitting,
+  // since now-playing metadata usually lands a few seconds after a switch
+  const MIN_SPLIT_MS = 10000;
+
+  let stream = null;
+  let format = null;
+  let onFile = function() {};
+  let segment = null;           // { recorder, chunks, info, startedAt, pausedAt, pausedTotal }
+
+  function isSupported() {
+    return !!window.MediaRecorder && pickFormat() !== null;
+  }
+
+  function pickFormat() {
+    if (!window.MediaRecorder) return null;
+    for (let i = 0; i < FORMATS.length; i++) {
+      if (!MediaRecorder.isTypeSupported || MediaRecorder.isTypeSupported(FORMATS[i].mimeType)) return FORMATS[i];
+    }
+    return null;
+  }
+
+  // ===== FILE NAMES =====
+  function clean(text) {
+    return String(text)
+      .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 80);
+  }
+
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  // "Station - Artist - Title 2026-10-19 07.30.webm"
+  function fileName(info, startedAt, extension) {
+    const date = new Date(startedAt);
+    const stamp = date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) +
+      ' ' + pad(date.getHours()) + '.' + pad(date.getMinutes());
+    const parts = [info.station, info.artist, info.title]
+      .filter(Boolean)
+      .map(clean)
+      .filter(Boolean);
+    return (parts.length ? parts.join(' - ') : 'Recording') + ' ' + stamp + '.' + extension;
+  }
+
+  // ===== SEGMENTS =====
+  function startSegment(info) {
+    const recorder = new MediaRecorder(stream, { mimeType: format.mimeType });
+    const current = {
+      recorder: recorder,
+      chunks: [],
+      info: info || {},
+      startedAt: Date.now(),
+      pausedAt: null,
+      pausedTotal: 0
+    };
+
+    recorder.addEventListener('dataavailable', function(e) {
+      if (e.data && e.data.size) current.chunks.push(e.data);
+    });
+    recorder.addEventListener('stop', function() {
+      finishSegment(current);
+    });
+    recorder.addEventListener('error', function(e) {
+      console.error('Recording error:', e.error ? e.error.message : e);
+    });
+
+    recorder.start(TIMESLICE);
+    segment = current;
+  }
+
+  function elapsed(current) {
+    const end = current.pausedAt || Date.now();
+    return end - current.startedAt - current.pausedTotal;
+  }
+
+  function stopSegment() {
+    if (!segment) return;
+    const current = segment;
+    segment = null;
+    if (current.pausedAt) {
+      current.pausedTotal += Date.now() - current.pausedAt;
+      current.pausedAt = null;
+    }
+    current.duration = elapsed(current);
+    if (current.recorder.state !== 'inactive') current.recorder.stop();
+  }
+
+  // Runs once the recorder has flushed its last chunk
+  function finishSegment(current) {
+    if (!current.chunks.length) return;
+    const blob = new Blob(current.chunks, { type: format.mimeType.split(';')[0] });
+    const file = {
+      name: fileName(current.info, current.startedAt, format.extension),
+      blob: blob,
+      url: URL.createObjectURL(blob),
+      info: current.info,
+      startedAt: current.startedAt,
+      duration: current.duration
+    };
+    try {
+      onFile(file);
+    } catch (err) {
+      console.error('Recording handler failed:', err);
+    }
+  }
+
+  // ===== CONTROLS =====
+  // `info` is { station, artist, title }; `fileFn` receives each finished
+  // { name, blob, url, info, startedAt, duration }
+  function start(mediaStream, info, fileFn) {
+    if (segment) stop();
+    format = pickFormat();
+    if (!format) throw new Error('Recording is not supported in this browser');
+    stream = mediaStream;
+    onFile = fileFn || function() {};
+    startSegment(info);
+  }
+
+  // Closes the current file and carries on in a new one. Unless `force` is
+  // set, a file that is too young or never knew its track is renamed instead.
+  function split(info, force) {
+    if (!segment) return;
+    if (!force && (!segment.info.title || elapsed(segment) < MIN_SPLIT_MS)) {
+      segment.info = info || {};
+      return;
+    }
+    stopSegment();
+    startSegment(info);
+  }
+
+  function pause() {
+    if (!segment || segment.pausedAt) return;
+    segment.pausedAt = Date.now();
+    if (segment.recorder.state === 'recording') segment.recorder.pause();
+  }
+
+  function resume() {
+    if (!segment || !segment.pausedAt) return;
+    segment.pausedTotal += Date.now() - segment.pausedAt;
+    segment.pausedAt = null;
+    if (segment.recorder.state === 'paused') segment.recorder.resume();
+  }
+
+  function stop() {
+    stopSegment();
+    stream = null;
+  }
+
+  // ===== PUBLIC API =====
+  window.streamRecorder = {
+    isSupported: isSupported,
+    start: start,
+    split: split,
+    pause: pause,
+    resume: resume,
+    stop: stop,
+    isRecording: function() { return segment !== null; },
+    isPaused: function() { return !!(segment && segment.pausedAt); },
+    // Milliseconds recorded into the current file
+    getElapsed: function() { return segment ? elapsed(segment) : 0; },
+    getInfo: function() { return segment ? segment.info : null; }
+  };
+})();
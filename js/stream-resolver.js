@@ -0,0 +1,165 @@
+/**
+ * Stream URL Resolver
+ * Unwraps playlist-style URLs (PLS, M3U, ASX, XSPF) into the ordered list of
+ * real stream URLs they point at
+ */
+
+(function() {
+  'use strict';
+
+  const FETCH_TIMEOUT = 5000;
+  const MAX_DEPTH = 2;          // Playlists pointing at playlists, e.g. .pls → .m3u
+
+  const EXTENSION_FORMATS = {
+    pls: 'pls',
+    m3u: 'm3u',
+    asx: 'asx',
+    wax: 'asx',
+    xspf: 'xspf'
+  };
+
+  const CONTENT_TYPE_FORMATS = [
+    [/scpls/i, 'pls'],
+    [/x-mpegurl|audio\/mpegurl/i, 'm3u'],
+    [/ms-asf|x-ms-asx|x-ms-wax/i, 'asx'],
+    [/xspf/i, 'xspf']
+  ];
+
+  // ===== FORMAT DETECTION =====
+  function formatFromUrl(url) {
+    try {
+      const ext = new URL(url).pathname.toLowerCase().split('.').pop();
+      return EXTENSION_FORMATS[ext] || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function formatFromContentType(contentType) {
+    for (let i = 0; i < CONTENT_TYPE_FORMATS.length; i++) {
+      if (CONTENT_TYPE_FORMATS[i][0].test(contentType || '')) return CONTENT_TYPE_FORMATS[i][1];
+    }
+    return null;
+  }
+
+  function formatFromContent(text) {
+    const head = text.trim().substring(0, 200).toLowerCase();
+    if (head.indexOf('[playlist]') === 0) return 'pls';
+    if (head.indexOf('<asx') >= 0) return 'asx';
+    if (head.indexOf('<playlist') >= 0 && head.indexOf('xspf') >= 0) return 'xspf';
+    return 'm3u';
+  }
+
+  // ===== PARSERS =====
+  // Each returns raw URL strings in playlist order; relative ones are resolved later
+
+  function parsePLS(text) {
+    const files = [];
+    text.split(/\r?\n/).forEach(function(line) {
+      const match = line.trim().match(/^File(\d+)\s*=\s*(.+)$/i);
+      if (match) files.push({ n: parseInt(match[1], 10), url: match[2].trim() });
+    });
+    return files
+      .sort(function(a, b) { return a.n - b.n; })
+      .map(function(f) { return f.url; });
+  }
+
+  function parseM3U(text) {
+    return text.split(/\r?\n/)
+      .map(function(line) { return line.trim(); })
+      .filter(function(line) { return line && line.charAt(0) !== '#'; });
+  }
+
+  // ASX files in the wild are rarely well-formed XML, so match refs directly
+  function parseASX(text) {
+    const urls = [];
+    const pattern = /<ref\s+href\s*=\s*["']([^"']+)["']/gi;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      urls.push(match[1].replace(/&amp;/g, '&'));
+    }
+    return urls;
+  }
+
+  function parseXSPF(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    return Array.from(doc.getElementsByTagName('location'))
+      .map(function(node) { return node.textContent.trim(); });
+  }
+
+  const parsers = { pls: parsePLS, m3u: parseM3U, asx: parseASX, xspf: parseXSPF };
+
+  // ===== RESOLUTION =====
+  function isPlaylistUrl(url) {
+    return formatFromUrl(url) !== null;
+  }
+
+  async function fetchText(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(function() { controller.abort(); }, FETCH_TIMEOUT);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      return {
+        text: await response.text(),
+        contentType: response.headers.get('content-type') || ''
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function absolutize(urls, baseUrl) {
+    const result = [];
+    urls.forEach(function(raw) {
+      try {
+        const url = new URL(raw, baseUrl);
+        if ((url.protocol === 'http:' || url.protocol === 'https:') && result.indexOf(url.href) < 0) {
+          result.push(url.href);
+        }
+      } catch (e) { /* skip malformed entry */ }
+    });
+    return result;
+  }
+
+  // Resolves to the ordered stream URLs inside the playlist at `url`.
+  // Rejects if the playlist can't be fetched or holds no usable entries.
+  async function resolve(url, depth) {
+    depth = depth || 0;
+
+    const fetched = await fetchText(url);
+
+    // An HLS playlist (sometimes served as .m3u) is itself the stream
+    if (window.hlsPlayer && window.hlsPlayer.isHlsContent(fetched.text, fetched.contentType)) {
+      window.hlsPlayer.markHls(url);
+      return [url];
+    }
+
+    const format = formatFromContentType(fetched.contentType) || formatFromUrl(url) || formatFromContent(fetched.text);
+    const entries = absolutize(parsers[format](fetched.text), url);
+
+    const streams = [];
+    for (let i = 0; i < entries.length; i++) {
+      if (depth < MAX_DEPTH && isPlaylistUrl(entries[i])) {
+        try {
+          (await resolve(entries[i], depth + 1)).forEach(function(s) {
+            if (streams.indexOf(s) < 0) streams.push(s);
+          });
+        } catch (e) {
+          console.warn('Nested playlist failed:', entries[i], e.message);
+        }
+      } else if (streams.indexOf(entries[i]) < 0) {
+        streams.push(entries[i]);
+      }
+    }
+
+    if (streams.length === 0) throw new Error('Playlist has no stream entries');
+    return streams;
+  }
+
+  // ===== PUBLIC API =====
+  window.streamResolver = {
+    isPlaylistUrl: isPlaylistUrl,
+    resolve: function(url) { return resolve(url, 0); }
+  };
+})();
@@ -0,0 +1,394 @@
+/**
+ * Time-Shift Buffer
+ * Keeps the last N minutes of a live MP3/AAC stream in memory so it can be
+ * paused, rewound and scrubbed. The stream is split into frames to know each
+ * chunk's exact duration; only a short window around the playhead is handed
+ * to Media Source Extensions, which caps audio buffers at a few megabytes.
+ */
+
+(function() {
+  'use strict';
+
+  const SOURCE_BEHIND = 30;      // Seconds kept in the SourceBuffer behind the playhead
+  const SOURCE_AHEAD = 60;       // ...and appended ahead of it
+  const CHUNK_DURATION = 1;      // Frames are stored in chunks of about this many seconds
+  const SYNC_LIMIT = 64 * 1024;  // Give up on a stream that shows no MP3/AAC frames by then
+  const CONNECT_TIMEOUT = 8000;
+
+  // ===== FRAME PARSING =====
+  const ADTS_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+  const MPEG_RATES = [44100, 48000, 32000];
+  const MPEG1_L3_KBPS = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+  const MPEG1_L2_KBPS = [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384];
+  const MPEG2_KBPS = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+
+  // { format, length, duration } for a frame header at `i`, or null
+  function parseFrame(bytes, i) {
+    if (i + 7 > bytes.length || bytes[i] !== 0xFF) return null;
+    const b1 = bytes[i + 1];
+    const b2 = bytes[i + 2];
+
+    // ADTS (AAC): 12-bit sync, layer always 00
+    if ((b1 & 0xF6) === 0xF0) {
+      const rate = ADTS_RATES[(b2 >> 2) & 0x0F];
+      const length = ((bytes[i + 3] & 0x03) << 11) | (bytes[i + 4] << 3) | (bytes[i + 5] >> 5);
+      if (!rate || length < 7) return null;
+      return { format: 'aac', length: length, duration: 1024 * ((bytes[i + 6] & 0x03) + 1) / rate };
+    }
+
+    // MPEG audio Layer II/III
+    if ((b1 & 0xE0) !== 0xE0) return null;
+    const version = (b1 >> 3) & 0x03;       // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+    const layer = (b1 >> 1) & 0x03;         // 1 = Layer III, 2 = Layer II
+    if (version === 1 || (layer !== 1 && layer !== 2)) return null;
+
+    const table = version !== 3 ? MPEG2_KBPS : (layer === 1 ? MPEG1_L3_KBPS : MPEG1_L2_KBPS);
+    const kbps = table[b2 >> 4];
+    const rateIndex = (b2 >> 2) & 0x03;
+    if (!kbps || rateIndex === 3) return null;
+
+    const rate = MPEG_RATES[rateIndex] / (version === 3 ? 1 : version === 2 ? 2 : 4);
+    const samples = version === 3 || layer === 2 ? 1152 : 576;
+    const padding = (b2 >> 1) & 0x01;
+    return {
+      format: 'mp3',
+      length: Math.floor(samples / 8 * kbps * 1000 / rate) + padding,
+      duration: samples / rate
+    };
+  }
+
+  function concat(chunks) {
+    const total = chunks.reduce(function(sum, c) { return sum + c.length; }, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(function(c) {
+      out.set(c, offset);
+      offset += c.length;
+    });
+    return out;
+  }
+
+  // Splits arbitrary network chunks into whole frames, skipping ID3 tags and
+  // junk. A frame only counts once the next header confirms it, so a stray
+  // 0xFF in the data can't knock us out of sync.
+  function createFrameReader() {
+    let pending = new Uint8Array(0);
+    let format = null;
+    let skipped = 0;
+
+    return function read(bytes) {
+      const data = concat([pending, bytes]);
+      const frames = [];
+      let i = 0;
+
+      while (i + 7 <= data.length) {
+        const frame = parseFrame(data, i);
+        if (!frame || (format && frame.format !== format)) {
+          i++;
+          skipped++;
+          continue;
+        }
+        const nextAt = i + frame.length;
+        if (nextAt + 7 > data.length) break;       // Wait for the following header
+        const next = parseFrame(data, nextAt);
+        if (!next || next.format !== frame.format) {
+          i++;
+          skipped++;
+          continue;
+        }
+        format = frame.format;
+        frames.push({ bytes: data.subarray(i, nextAt), duration: frame.duration });
+        i = nextAt;
+      }
+
+      pending = data.slice(i);
+      return { format: format, frames: frames, lost: !format && skipped > SYNC_LIMIT };
+    };
+  }
+
+  // ===== BUFFER =====
+  // Plays pushed MP3/ADTS bytes through `el`, remembering `window` seconds.
+  // Times are media times on the element's timeline.
+  function create(el, options, onError) {
+    const mediaSource = new MediaSource();
+    const objectUrl = URL.createObjectURL(mediaSource);
+    const opened = new Promise(function(resolve) {
+      mediaSource.addEventListener('sourceopen', resolve, { once: true });
+    });
+    const readFrames = createFrameReader();
+
+    let windowSeconds = Math.max(SOURCE_BEHIND, options.window || 0);
+    let sourceBuffer = null;
+    let mime = null;
+    let chunks = [];              // { start, end, bytes }, oldest first
+    let building = { frames: [], duration: 0 };
+    let liveEnd = 0;              // End of the newest stored chunk
+    let appendedEnd = 0;          // The SourceBuffer holds audio up to here
+    let work = Promise.resolve();
+    let pumpQueued = false;
+    let destroyed = false;
+    let failed = false;
+
+    el.src = objectUrl;
+    el.addEventListener('timeupdate', schedulePump);
+
+    function fail(err) {
+      if (failed || destroyed) return;
+      failed = true;
+      onError(err);
+    }
+
+    // SourceBuffer operations must not overlap, so they run one after another
+    function serial(task) {
+      work = work.then(function() {
+        if (!destroyed) return task();
+      }).catch(fail);
+      return work;
+    }
+
+    // Returns false once the bytes clearly aren't MP3 or AAC
+    function push(bytes) {
+      if (destroyed) return true;
+      const result = readFrames(bytes);
+      if (result.lost) return false;
+      if (!result.format) return true;
+
+      mime = mime || (result.format === 'aac' ? 'audio/aac' : 'audio/mpeg');
+      result.frames.forEach(function(frame) {
+        building.frames.push(frame.bytes);
+        building.duration += frame.duration;
+        if (building.duration >= CHUNK_DURATION) storeChunk();
+      });
+      schedulePump();
+      return true;
+    }
+
+    function storeChunk() {
+      chunks.push({ start: liveEnd, end: liveEnd + building.duration, bytes: concat(building.frames) });
+      liveEnd += building.duration;
+      building = { frames: [], duration: 0 };
+      trimStore();
+    }
+
+    // Forget audio that has slipped out of the window
+    function trimStore() {
+      while (chunks.length && chunks[0].end < liveEnd - windowSeconds) chunks.shift();
+    }
+
+    // Index of the chunk playing at `time`, or -1
+    function indexAt(time) {
+      let lo = 0;
+      let hi = chunks.length - 1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (time < chunks[mid].start) hi = mid - 1;
+        else if (time >= chunks[mid].end) lo = mid + 1;
+        else return mid;
+      }
+      return -1;
+    }
+
+    function schedulePump() {
+      if (pumpQueued || destroyed || !mime) return;
+      pumpQueued = true;
+      serial(function() {
+        pumpQueued = false;
+        return pump();
+      });
+    }
+
+    // `playhead` overrides the element's position while a seek is refilling
+    async function pump(playhead) {
+      let position = typeof playhead === 'number' ? playhead : el.currentTime;
+      await opened;
+      if (!sourceBuffer) {
+        if (!MediaSource.isTypeSupported(mime)) throw new Error('Unsupported stream audio: ' + mime);
+        sourceBuffer = mediaSource.addSourceBuffer(mime);
+        sourceBuffer.mode = 'sequence';
+      }
+
+      // A long pause or a smaller window can trim audio the playhead hasn't
+      // reached; carry on from the oldest audio still stored. If what comes
+      // next was trimmed too, nothing more could be appended, so refill.
+      let jumpTo = null;
+      if (chunks.length && position < chunks[0].start) {
+        jumpTo = chunks[0].start;
+        if (appendedEnd < jumpTo && indexAt(appendedEnd) < 0) {
+          await update(function() { sourceBuffer.remove(0, Infinity); });
+          sourceBuffer.timestampOffset = jumpTo;
+          appendedEnd = jumpTo;
+        }
+        position = jumpTo;
+      }
+
+      // Keep the SourceBuffer topped up ahead of the playhead
+      let index = indexAt(appendedEnd);
+      while (index >= 0 && !destroyed && appendedEnd - position < SOURCE_AHEAD) {
+        const chunk = chunks[index];
+        await update(function() { sourceBuffer.appendBuffer(chunk.bytes); });
+        appendedEnd = chunk.end;
+        index = index + 1 < chunks.length ? index + 1 : -1;
+      }
+
+      // ...and let go of what's well behind it; the store still has it
+      const buffered = sourceBuffer.buffered;
+      const cutoff = position - SOURCE_BEHIND;
+      if (buffered.length && cutoff > buffered.start(0) + 1) {
+        await update(function() { sourceBuffer.remove(buffered.start(0), cutoff); });
+      }
+      if (jumpTo !== null && typeof playhead !== 'number') el.currentTime = jumpTo;
+    }
+
+    function update(action) {
+      return new Promise(function(resolve, reject) {
+        function done() {
+          sourceBuffer.removeEventListener('updateend', done);
+          sourceBuffer.removeEventListener('error', failedUpdate);
+          resolve();
+        }
+        function failedUpdate() {
+          sourceBuffer.removeEventListener('updateend', done);
+          sourceBuffer.removeEventListener('error', failedUpdate);
+          reject(new Error('Audio could not be decoded'));
+        }
+        sourceBuffer.addEventListener('updateend', done);
+        sourceBuffer.addEventListener('error', failedUpdate);
+        action();
+      });
+    }
+
+    function isBuffered(time) {
+      const buffered = sourceBuffer.buffered;
+      for (let i = 0; i < buffered.length; i++) {
+        if (time >= buffered.start(i) && time < buffered.end(i)) return true;
+      }
+      return false;
+    }
+
+    // Seekable span of stored audio
+    function range() {
+      return { start: chunks.length ? chunks[0].start : 0, end: liveEnd };
+    }
+
+    // Jump anywhere in the stored window, refilling MSE when the target isn't loaded
+    function seek(time) {
+      const span = range();
+      const target = Math.max(span.start, Math.min(time, span.end - 0.5));
+
+      return serial(async function() {
+        if (!sourceBuffer) return;
+        if (isBuffered(target)) {
+          el.currentTime = target;
+          return;
+        }
+        const index = indexAt(target);
+        if (index < 0) return;
+
+        await update(function() { sourceBuffer.remove(0, Infinity); });
+        sourceBuffer.timestampOffset = chunks[index].start;
+        appendedEnd = chunks[index].start;
+        await pump(target);
+        el.currentTime = target;
+      });
+    }
+
+    // A smaller window trims the store now; pump() moves a playhead that
+    // was further back than that up to what's left
+    function setWindow(seconds) {
+      windowSeconds = Math.max(SOURCE_BEHIND, seconds || 0);
+      trimStore();
+      schedulePump();
+    }
+
+    function destroy() {
+      destroyed = true;
+      chunks = [];
+      el.removeEventListener('timeupdate', schedulePump);
+      URL.revokeObjectURL(objectUrl);
+    }
+
+    return {
+      push: push,
+      range: range,
+      seek: seek,
+      setWindow: setWindow,
+      destroy: destroy
+    };
+  }
+
+  // ===== PROGRESSIVE STREAMS =====
+  // Fetch a plain MP3/AAC stream into a buffer. Streams we can't read
+  // (no CORS, Ogg, no MSE) are handed straight to the element instead, and
+  // the session's `buffer` is null.
+  function attach(el, url, options, onError) {
+    const controller = new AbortController();
+    const session = { buffer: null, destroy: destroy };
+    let destroyed = false;
+
+    if (!window.MediaSource) {
+      el.src = url;
+      return session;
+    }
+
+    session.buffer = create(el, options, onError);
+
+    function playDirectly(reason) {
+      if (destroyed) return;
+      console.log('Time-shift unavailable (' + reason + '), playing directly');
+      session.buffer.destroy();
+      session.buffer = null;
+      controller.abort();
+      el.src = url;
+      el.play().catch(function() { /* the controller reports playback errors */ });
+    }
+
+    function destroy() {
+      destroyed = true;
+      controller.abort();
+      if (session.buffer) session.buffer.destroy();
+    }
+
+    (async function() {
+      let response;
+      const timer = setTimeout(function() { controller.abort(); }, CONNECT_TIMEOUT);
+      try {
+        response = await fetch(url, { signal: controller.signal });
+      } catch (e) {
+        playDirectly('stream not readable');
+        return;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const contentType = (response.headers.get('content-type') || '').toLowerCase();
+      // Anything but plain MP3/AAC, including HLS without a .m3u8 name, is left to the element
+      if (!response.ok || !response.body || /ogg|opus|flac|webm|wav|mpegurl|text\/|json/.test(contentType)) {
+        playDirectly(response.ok ? 'unsupported format' : 'HTTP ' + response.status);
+        return;
+      }
+
+      const reader = response.body.getReader();
+      try {
+        for (;;) {
+          const result = await reader.read();
+          if (destroyed) return;
+          if (result.done) throw new Error('Stream ended');
+          if (!session.buffer.push(result.value)) {
+            playDirectly('unsupported format');
+            return;
+          }
+        }
+      } catch (err) {
+        if (!destroyed) onError(err);
+      }
+    })();
+
+    return session;
+  }
+
+  // ===== PUBLIC API =====
+  window.timeshiftBuffer = {
+    create: create,
+    attach: attach
+  };
+})();
@@ -0,0 +1,278 @@
+/**
+ * Track History
+ * Tracks heard on each station and tracks the listener liked, kept in
+ * IndexedDB. A track reported again on the same station (another poll, a
+ * reconnect) extends its entry instead of adding one. Falls back to memory
+ * when IndexedDB is unavailable.
+ */
+
+(function() {
+  'use strict';
+
+  const DB_NAME = 'minify-radio';
+  const DB_VERSION = 2;
+  const STORE = 'tracks';
+  const FAVOURITES = 'favourites';
+  const MAX_ENTRIES = 5000;
+  // The same track reported again within this long is the same play
+  const REPEAT_WINDOW = 30 * 60000;
+
+  let dbPromise = null;
+  let memory = [];               // Used when IndexedDB can't be opened
+  let memoryFavourites = [];
+  let nextMemoryId = 1;
+  let queue = Promise.resolve(); // Writes run one at a time so repeats see each other
+
+  // ===== DATABASE =====
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise(function(resolve) {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      // v1: tracks; v2: favourites
+      request.onupgradeneeded = function(e) {
+        const db = request.result;
+        if (e.oldVersion < 1) {
+          const tracks = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+          tracks.createIndex('playedAt', 'playedAt');
+          tracks.createIndex('station', ['stationId', 'playedAt']);
+        }
+        if (e.oldVersion < 2) {
+          db.createObjectStore(FAVOURITES, { keyPath: 'id', autoIncrement: true }).createIndex('likedAt', 'likedAt');
+        }
+      };
+      request.onsuccess = function() {
+        const db = request.result;
+        // Let a newer version of the app upgrade the database from another tab
+        db.onversionchange = function() {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = function() {
+        console.warn('Track history unavailable, keeping it in memory:', request.error && request.error.message);
+        resolve(null);
+      };
+    });
+    return dbPromise;
+  }
+
+  function promisify(request) {
+    return new Promise(function(resolve, reject) {
+      request.onsuccess = function() { resolve(request.result); };
+      request.onerror = function() { reject(request.error); };
+    });
+  }
+
+  function store(db, mode, name) {
+    return db.transaction(name || STORE, mode).objectStore(name || STORE);
+  }
+
+  // Walks `source` (a store or index) newest first, up to `limit` entries
+  function readNewest(source, range, limit) {
+    return new Promise(function(resolve, reject) {
+      const entries = [];
+      const request = source.openCursor(range || null, 'prev');
+      request.onsuccess = function() {
+        const cursor = request.result;
+        if (!cursor || entries.length >= limit) {
+          resolve(entries);
+          return;
+        }
+        entries.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = function() { reject(request.error); };
+    });
+  }
+
+  async function lastForStation(db, stationId) {
+    if (!db) {
+      for (let i = memory.length - 1; i >= 0; i--) {
+        if (memory[i].stationId === stationId) return memory[i];
+      }
+      return null;
+    }
+    const range = IDBKeyRange.bound([stationId, 0], [stationId, Infinity]);
+    const entries = await readNewest(store(db, 'readonly').index('station'), range, 1);
+    return entries[0] || null;
+  }
+
+  async function trim(db) {
+    if (!db) {
+      if (memory.length > MAX_ENTRIES) memory = memory.slice(memory.length - MAX_ENTRIES);
+      return;
+    }
+    const tracks = store(db, 'readwrite');
+    const excess = (await promisify(tracks.count())) - MAX_ENTRIES;
+    if (excess <= 0) return;
+    const oldest = await promisify(tracks.index('playedAt').getAllKeys(null, excess));
+    oldest.forEach(function(id) { tracks.delete(id); });
+  }
+
+  function sameTrack(entry, track) {
+    return entry.title === track.title && entry.artist === track.artist;
+  }
+
+  // ===== RECORDING =====
+  // Runs `task` after the writes before it; a failed write mustn't block the
+  // ones after it
+  function serialize(task) {
+    const next = queue.then(task);
+    queue = next.catch(function(err) { console.warn('Track history write failed:', err); });
+    return next;
+  }
+
+  // `track` is { stationId, station, title, artist }; resolves with the entry
+  function record(track) {
+    const now = Date.now();
+    return serialize(async function() {
+      const db = await open();
+      const last = await lastForStation(db, track.stationId);
+      if (last && sameTrack(last, track) && now - last.lastHeardAt < REPEAT_WINDOW) {
+        last.lastHeardAt = now;
+        if (db) await promisify(store(db, 'readwrite').put(last));
+        return last;
+      }
+
+      const entry = {
+        stationId: track.stationId,
+        station: track.station || '',
+        title: track.title,
+        artist: track.artist || '',
+        playedAt: now,
+        lastHeardAt: now
+      };
+      if (db) {
+        entry.id = await promisify(store(db, 'readwrite').add(entry));
+      } else {
+        entry.id = nextMemoryId++;
+        memory.push(entry);
+      }
+      await trim(db);
+      return entry;
+    });
+  }
+
+  // ===== READING =====
+  // Newest first; `limit` defaults to everything
+  async function list(limit) {
+    await queue;
+    const db = await open();
+    const max = limit || Infinity;
+    if (!db) return memory.slice(-max).reverse();
+    return readNewest(store(db, 'readonly').index('playedAt'), null, max);
+  }
+
+  async function clear() {
+    await queue;
+    const db = await open();
+    memory = [];
+    if (db) await promisify(store(db, 'readwrite').clear());
+  }
+
+  // ===== FAVOURITES =====
+  async function readFavourites() {
+    const db = await open();
+    if (!db) return memoryFavourites.slice().reverse();
+    return readNewest(store(db, 'readonly', FAVOURITES).index('likedAt'), null, Infinity);
+  }
+
+  function matchFavourite(liked, track) {
+    return liked.find(function(entry) { return sameTrack(entry, track); }) || null;
+  }
+
+  // Newest first
+  async function favourites() {
+    await queue;
+    return readFavourites();
+  }
+
+  // The favourite for this title and artist (on any station), or null
+  async function findFavourite(track) {
+    return matchFavourite(await favourites(), track);
+  }
+
+  // `track` is { stationId, station, title, artist }; liking a track twice
+  // (even with both taps in flight) resolves with the first favourite
+  function like(track) {
+    return serialize(async function() {
+      const existing = matchFavourite(await readFavourites(), track);
+      if (existing) return existing;
+
+      const db = await open();
+      const entry = {
+        stationId: track.stationId,
+        station: track.station || '',
+        title: track.title,
+        artist: track.artist || '',
+        likedAt: Date.now()
+      };
+      if (db) {
+        entry.id = await promisify(store(db, 'readwrite', FAVOURITES).add(entry));
+      } else {
+        entry.id = nextMemoryId++;
+        memoryFavourites.push(entry);
+      }
+      return entry;
+    });
+  }
+
+  function unlike(id) {
+    return serialize(async function() {
+      const db = await open();
+      if (db) await promisify(store(db, 'readwrite', FAVOURITES).delete(id));
+      else memoryFavourites = memoryFavourites.filter(function(entry) { return entry.id !== id; });
+    });
+  }
+
+  // ===== EXPORT =====
+  function csvField(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  function toCSV(entries) {
+    const lines = ['station,artist,title,played_at,last_heard_at'];
+    entries.forEach(function(e) {
+      lines.push([e.station, e.artist, e.title, new Date(e.playedAt).toISOString(), new Date(e.lastHeardAt).toISOString()]
+        .map(csvField)
+        .join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  function toJSON(entries) {
+    return JSON.stringify({
+      format: 'minify-history',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      tracks: entries.map(function(e) {
+        return {
+          station: e.station,
+          artist: e.artist,
+          title: e.title,
+          playedAt: new Date(e.playedAt).toISOString(),
+          lastHeardAt: new Date(e.lastHeardAt).toISOString()
+        };
+      })
+    }, null, 2);
+  }
+
+  // ===== PUBLIC API =====
+  window.trackHistory = {
+    record: record,
+    list: list,
+    clear: clear,
+    toCSV: toCSV,
+    toJSON: toJSON,
+    like: like,
+    unlike: unlike,
+    favourites: favourites,
+    findFavourite: findFavourite
+  };
+})();
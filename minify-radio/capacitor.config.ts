@@ -25,8 +25,7 @@ const config: CapacitorConfig = {
     allowNavigation: [
       'media-ice.musicradio.com',
       'reprezent.streammachine.co.uk',
-      'radiocult.fm',
-      'api.allorigins.win'
+      'radiocult.fm'
     ]
   }
 };
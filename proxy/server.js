@@ -0,0 +1,376 @@
+/**
+ * Minify Radio companion proxy
+ * A small self-hostable service that fetches now-playing pages for the app
+ * with CORS headers added, and reads ICY titles from streams that don't
+ * expose them to browsers. No dependencies; needs Node 18+.
+ *
+ *   GET /fetch?url=<page>   upstream body, as JSON or plain text
+ *   GET /icy?url=<stream>   { streamTitle, artist, title } from the first ICY block
+ *   GET /health             "ok"
+ *
+ * Configured through the environment:
+ *   HOST             interface to listen on (default 127.0.0.1)
+ *   PORT             port to listen on (default 8787)
+ *   ALLOWED_ORIGINS  comma-separated origins allowed to call it; others are refused (default any)
+ *   ALLOWED_HOSTS    comma-separated upstream hosts; empty allows any public host
+ *
+ * It won't listen beyond loopback unless at least one of the lists is set,
+ * so it can't be started as an open relay by accident.
+ */
+
+'use strict';
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const HOST = process.env.HOST || '127.0.0.1';
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const ALLOWED_ORIGINS = list(process.env.ALLOWED_ORIGINS);
+const ALLOWED_HOSTS = list(process.env.ALLOWED_HOSTS);
+
+const UPSTREAM_TIMEOUT = 8000;
+const MAX_REDIRECTS = 5;
+const MAX_BODY = 1024 * 1024;        // Metadata pages, not streams
+const MAX_METAINT = 256 * 1024;
+const MAX_ICY_BLOCKS = 3;
+const USER_AGENT = 'MinifyRadioProxy/1.0';
+
+function list(value) {
+  return (value || '').split(',').map(function(s) { return s.trim().toLowerCase(); }).filter(Boolean);
+}
+
+// ===== REQUEST CHECKS =====
+class ProxyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Loopback, private, link-local and other non-public ranges are never
+// connected to, so the proxy can't be used to reach the network it runs on
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(function(range) { PRIVATE_RANGES.addSubnet(range[0], range[1], 'ipv4'); });
+[
+  ['::', 127], ['::ffff:0:0:0', 96], ['64:ff9b::', 96], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(function(range) { PRIVATE_RANGES.addSubnet(range[0], range[1], 'ipv6'); });
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1, written ::ffff:7f00:1 once
+// a URL normalises it) are checked as the IPv4 address they stand for
+function isPrivateAddress(address) {
+  let ip = address.replace(/^\[|\]$/g, '');
+  if (net.isIPv4(ip)) return PRIVATE_RANGES.check(ip, 'ipv4');
+  if (!net.isIPv6(ip)) return true;
+  ip = new URL('http://[' + ip + ']').hostname.slice(1, -1);
+  const mapped = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(ip);
+  if (mapped) {
+    const high = parseInt(mapped[1], 16);
+    const low = parseInt(mapped[2], 16);
+    return PRIVATE_RANGES.check([high >> 8, high & 255, low >> 8, low & 255].join('.'), 'ipv4');
+  }
+  return PRIVATE_RANGES.check(ip, 'ipv6');
+}
+
+function isPrivateName(hostname) {
+  const host = hostname.toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local');
+}
+
+function upstreamUrl(query) {
+  let url;
+  try {
+    url = new URL(query.get('url') || '');
+  } catch (e) {
+    throw new ProxyError(400, 'Missing or invalid url');
+  }
+  checkTarget(url);
+  return url;
+}
+
+function checkTarget(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new ProxyError(400, 'Only http(s) URLs');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) ? isPrivateAddress(host) : isPrivateName(host)) throw new ProxyError(403, 'Host not allowed');
+  if (ALLOWED_HOSTS.length && ALLOWED_HOSTS.indexOf(url.hostname.toLowerCase()) < 0) {
+    throw new ProxyError(403, 'Host not allowed');
+  }
+}
+
+// With ALLOWED_ORIGINS set, requests from anywhere else (or with no Origin
+// at all) are refused rather than just left without CORS headers
+function originAllowed(origin) {
+  return !ALLOWED_ORIGINS.length || (!!origin && ALLOWED_ORIGINS.indexOf(origin.toLowerCase()) >= 0);
+}
+
+function corsHeaders(origin) {
+  if (!ALLOWED_ORIGINS.length) return { 'Access-Control-Allow-Origin': '*' };
+  if (originAllowed(origin)) return { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' };
+  return { 'Vary': 'Origin' };
+}
+
+function isLoopback(host) {
+  const ip = host.replace(/^\[|\]$/g, '').toLowerCase();
+  return ip === 'localhost' || ip === '::1' || /^(::ffff:)?127\./.test(ip);
+}
+
+// ===== UPSTREAM =====
+// Every address a name resolves to must be public: a public name can point
+// at 127.0.0.1 or 10.x as easily as a URL can
+async function resolveTarget(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return { address: host, family: net.isIP(host) };
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (e) {
+    throw new ProxyError(502, 'Upstream host not found');
+  }
+  if (!addresses.length || addresses.some(function(a) { return isPrivateAddress(a.address); })) {
+    throw new ProxyError(403, 'Host not allowed');
+  }
+  return addresses[0];
+}
+
+// One GET, connected to the address resolveTarget() checked rather than
+// whatever the name resolves to by the time the socket opens
+async function get(url, headers, signal) {
+  const address = await resolveTarget(url.hostname);
+  return new Promise(function(resolve, reject) {
+    const request = (url.protocol === 'https:' ? https : http).get(url, {
+      headers: Object.assign({ 'User-Agent': USER_AGENT }, headers),
+      signal: signal,
+      lookup: function(hostname, options, callback) {
+        if (options && options.all) callback(null, [address]);
+        else callback(null, address.address, address.family);
+      }
+    }, function(response) {
+      // Errors after an abort surface through the readers below
+      response.on('error', function() {});
+      resolve(response);
+    });
+    request.on('error', reject);
+  });
+}
+
+function isOk(response) {
+  return response.statusCode >= 200 && response.statusCode < 300;
+}
+
+// Redirects are followed by hand so every hop is checked and resolved again
+async function upstream(url, headers) {
+  const controller = new AbortController();
+  const timer = setTimeout(function() { controller.abort(); }, UPSTREAM_TIMEOUT);
+  try {
+    let target = url;
+    for (let hops = 0; ; hops++) {
+      const response = await get(target, headers, controller.signal);
+      const location = response.headers.location;
+      if (response.statusCode < 300 || response.statusCode >= 400 || !location) {
+        return { response: response, controller: controller, timer: timer };
+      }
+      response.resume();
+      if (hops >= MAX_REDIRECTS) throw new ProxyError(502, 'Too many redirects');
+      target = new URL(location, target);
+      checkTarget(target);
+    }
+  } catch (err) {
+    clearTimeout(timer);
+    controller.abort();
+    if (err instanceof ProxyError) throw err;
+    throw new ProxyError(502, err.name === 'AbortError' ? 'Upstream timed out' : 'Upstream unreachable');
+  }
+}
+
+// The next chunk of the body, with a dropped connection after the timeout
+// reported as the timeout
+async function nextChunk(chunks, controller) {
+  try {
+    return await chunks.next();
+  } catch (err) {
+    if (controller.signal.aborted) throw new ProxyError(504, 'Upstream timed out');
+    throw new ProxyError(502, 'Upstream connection lost');
+  }
+}
+
+// Reads the body up to MAX_BODY; audio streams never end, so they're refused
+async function readLimited(response, controller) {
+  const type = response.headers['content-type'] || '';
+  if (/^(audio|video)\//i.test(type)) {
+    controller.abort();
+    throw new ProxyError(415, 'Refusing to proxy a media stream');
+  }
+  const chunks = response[Symbol.asyncIterator]();
+  const body = [];
+  let total = 0;
+  for (;;) {
+    const result = await nextChunk(chunks, controller);
+    if (result.done) break;
+    total += result.value.length;
+    if (total > MAX_BODY) {
+      controller.abort();
+      throw new ProxyError(413, 'Upstream response too large');
+    }
+    body.push(result.value);
+  }
+  return Buffer.concat(body);
+}
+
+// ===== ICY =====
+function decodeMetadata(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (e) {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+function parseStreamTitle(text) {
+  const match = /StreamTitle='([\s\S]*?)';/.exec(text.replace(/\0+$/, ''));
+  return match ? match[1].trim() : null;
+}
+
+function splitStreamTitle(streamTitle) {
+  const index = streamTitle.indexOf(' - ');
+  if (index < 0) return { artist: '', title: streamTitle };
+  return { artist: streamTitle.slice(0, index).trim(), title: streamTitle.slice(index + 3).trim() };
+}
+
+// Reads to the first metadata block that carries a StreamTitle ('' if none)
+async function readStreamTitle(response, controller) {
+  const metaint = parseInt(response.headers['icy-metaint'], 10);
+  if (!metaint || metaint > MAX_METAINT) throw new ProxyError(422, 'Stream has no ICY metadata');
+
+  const chunks = response[Symbol.asyncIterator]();
+  let pending = Buffer.alloc(0);
+
+  async function fill(count) {
+    while (pending.length < count) {
+      const result = await nextChunk(chunks, controller);
+      if (result.done) throw new ProxyError(502, 'Stream ended');
+      pending = Buffer.concat([pending, result.value]);
+    }
+  }
+
+  try {
+    for (let blocks = 0; blocks < MAX_ICY_BLOCKS; blocks++) {
+      await fill(metaint + 1);
+      const length = pending[metaint] * 16;
+      await fill(metaint + 1 + length);
+      const block = pending.subarray(metaint + 1, metaint + 1 + length);
+      pending = pending.subarray(metaint + 1 + length);
+      if (length > 0) {
+        const streamTitle = parseStreamTitle(decodeMetadata(block));
+        if (streamTitle !== null) return streamTitle;
+      }
+    }
+    return '';
+  } finally {
+    controller.abort();
+  }
+}
+
+// Only JSON keeps its type; HTML, XML and anything else go back as plain
+// text so nothing upstream can render or run on the proxy's origin
+function responseType(type) {
+  const charset = /;\s*charset=([^;]+)/i.exec(type || '');
+  const suffix = charset ? '; charset=' + charset[1].trim() : '';
+  return (/^application\/([\w.-]+\+)?json\s*(;|$)/i.test(type || '') ? 'application/json' : 'text/plain') + suffix;
+}
+
+// ===== ROUTES =====
+async function handleFetch(query, res, cors) {
+  const url = upstreamUrl(query);
+  const up = await upstream(url, { 'Accept': 'text/html,application/json,text/plain;q=0.9,*/*;q=0.5' });
+  try {
+    if (!isOk(up.response)) throw new ProxyError(502, 'Upstream HTTP ' + up.response.statusCode);
+    const body = await readLimited(up.response, up.controller);
+    res.writeHead(200, Object.assign({
+      'Content-Type': responseType(up.response.headers['content-type']),
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': 'sandbox',
+      'Cache-Control': 'no-store'
+    }, cors));
+    res.end(body);
+  } finally {
+    clearTimeout(up.timer);
+    up.controller.abort();
+  }
+}
+
+async function handleIcy(query, res, cors) {
+  const url = upstreamUrl(query);
+  const up = await upstream(url, { 'Icy-MetaData': '1' });
+  try {
+    if (!isOk(up.response)) throw new ProxyError(502, 'Upstream HTTP ' + up.response.statusCode);
+    const streamTitle = await readStreamTitle(up.response, up.controller);
+    const track = streamTitle ? splitStreamTitle(streamTitle) : { artist: '', title: '' };
+    sendJson(res, 200, { streamTitle: streamTitle || null, artist: track.artist, title: track.title }, cors);
+  } finally {
+    clearTimeout(up.timer);
+    up.controller.abort();
+  }
+}
+
+function sendJson(res, status, data, cors) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }, cors));
+  res.end(JSON.stringify(data));
+}
+
+const server = http.createServer(async function(req, res) {
+  const cors = corsHeaders(req.headers.origin);
+  const requestUrl = new URL(req.url, 'http://localhost');
+
+  // /health stays open so uptime checks work without an Origin
+  if (requestUrl.pathname !== '/health' && !originAllowed(req.headers.origin)) {
+    sendJson(res, 403, { error: 'Origin not allowed' }, cors);
+    return;
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, Object.assign({ 'Access-Control-Allow-Methods': 'GET', 'Access-Control-Max-Age': '86400' }, cors));
+    res.end();
+    return;
+  }
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method not allowed' }, cors);
+    return;
+  }
+
+  try {
+    switch (requestUrl.pathname) {
+      case '/fetch':
+        await handleFetch(requestUrl.searchParams, res, cors);
+        break;
+      case '/icy':
+        await handleIcy(requestUrl.searchParams, res, cors);
+        break;
+      case '/health':
+        res.writeHead(200, Object.assign({ 'Content-Type': 'text/plain' }, cors));
+        res.end('ok');
+        break;
+      default:
+        sendJson(res, 404, { error: 'Not found' }, cors);
+    }
+  } catch (err) {
+    // An abort mid-body is the upstream timeout firing
+    const status = err instanceof ProxyError ? err.status : err.name === 'AbortError' ? 504 : 500;
+    if (status === 500) console.error('Proxy error:', err);
+    if (!res.headersSent) sendJson(res, status, { error: err.message }, cors);
+    else res.end();
+  }
+});
+
+if (!isLoopback(HOST) && !ALLOWED_ORIGINS.length && !ALLOWED_HOSTS.length) {
+  console.error('Refusing to listen on ' + HOST + ' without ALLOWED_ORIGINS or ALLOWED_HOSTS: anyone could use it as an open relay');
+  process.exit(1);
+}
+
+server.listen(PORT, HOST, function() {
+  console.log('Minify Radio proxy listening on ' + HOST + ':' + PORT);
+});